@@ -0,0 +1,120 @@
+'use strict'
+
+var AbstractIterator = require('abstract-leveldown').AbstractIterator
+var AbstractLevelDOWN = require('abstract-leveldown').AbstractLevelDOWN
+var inherits = require('util').inherits
+var xtend = require('xtend')
+
+// keys and values are written as given, buffers or strings, leaving encodings
+// to whatever wraps the store
+var RAW = { keyEncoding: 'binary', valueEncoding: 'binary' }
+
+var RANGE_KEYS = [ 'gt', 'lt', 'gte', 'lte', 'start', 'end' ]
+
+// read options for range options, decoding to buffers or strings as requested
+function readOptions(options, keyAsBuffer, valueAsBuffer) {
+  var opts = {
+    keyEncoding: keyAsBuffer === false ? 'utf8' : 'binary',
+    valueEncoding: valueAsBuffer === false ? 'utf8' : 'binary'
+  }
+
+  // null and empty bounds leave the range unbounded
+  RANGE_KEYS.forEach(function (k) {
+    if (options[k] != null && String(options[k]) !== '') opts[k] = options[k]
+  })
+
+  if ('reverse' in options) opts.reverse = options.reverse
+  if ('limit' in options) opts.limit = options.limit
+
+  return opts
+}
+
+// abstract-leveldown store over a subspace, writing through its batch method
+// so hooks and other subspace features apply to writes made through the store
+function AbstractSpace(space) {
+  AbstractLevelDOWN.call(this, 'bytespace')
+  this._space = space
+}
+
+inherits(AbstractSpace, AbstractLevelDOWN)
+
+AbstractSpace.prototype._get = function (key, options, cb) {
+  this._space.get(key, readOptions({}, true, options.asBuffer), cb)
+}
+
+AbstractSpace.prototype._put = function (key, value, options, cb) {
+  this._space.put(key, value, xtend(options, RAW), cb)
+}
+
+AbstractSpace.prototype._del = function (key, options, cb) {
+  this._space.del(key, xtend(options, RAW), cb)
+}
+
+AbstractSpace.prototype._batch = function (array, options, cb) {
+  var store = this
+
+  // keys and values of batch ops aren't serialized by abstract-leveldown
+  this._space.batch(array.map(function (op) {
+    var raw = xtend(RAW, { type: op.type, key: store._serializeKey(op.key) })
+    if (op.type !== 'del') raw.value = store._serializeValue(op.value)
+    return raw
+  }), options, cb)
+}
+
+AbstractSpace.prototype._iterator = function (options) {
+  return new SpaceIterator(this, options)
+}
+
+AbstractSpace.prototype._clear = function (options, cb) {
+  this._space.clear(readOptions(options), cb)
+}
+
+// not provided by abstract-leveldown until `_clear` was added upstream
+AbstractSpace.prototype.clear = function (options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = {}
+  }
+
+  if (typeof cb !== 'function')
+    throw new Error('clear() requires a callback argument')
+
+  this._clear(options || {}, cb)
+}
+
+// iterator over the entries of a subspace read stream
+function SpaceIterator(db, options) {
+  AbstractIterator.call(this, db)
+
+  var opts = readOptions(options, options.keyAsBuffer, options.valueAsBuffer)
+  if (opts.limit < 0) delete opts.limit
+
+  this._keys = options.keys
+  this._values = options.values
+  this._entries = db._space.entries(opts)
+}
+
+inherits(SpaceIterator, AbstractIterator)
+
+// call back outside of promise handlers so errors thrown by callers aren't lost
+SpaceIterator.prototype._next = function (cb) {
+  var self = this
+
+  this._entries.next().then(function (result) {
+    if (result.done) return process.nextTick(cb)
+
+    var key = self._keys ? result.value.key : undefined
+    var value = self._values ? result.value.value : undefined
+    process.nextTick(cb, null, key, value)
+  }, function (err) {
+    process.nextTick(cb, err)
+  })
+}
+
+SpaceIterator.prototype._end = function (cb) {
+  this._entries.return().then(function () {
+    process.nextTick(cb)
+  })
+}
+
+module.exports = AbstractSpace
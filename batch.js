@@ -1,15 +1,27 @@
-function Batch(space) {
+var xtend = require('xtend')
+
+// chained batch, holding only the batch method of its subspace so batches of
+// write-only views can't read through it
+function Batch(batch) {
   this.ops = []
-  this._space = space
+  this._batch = batch
 }
 
+// number of ops queued, like levelup chained batches
+Object.defineProperty(Batch.prototype, 'length', {
+  get: function () {
+    return this.ops.length
+  }
+})
+
+// per-op options (e.g. keyEncoding, valueEncoding, prefix) are set on the op
 Batch.prototype.put = function (key, value, options) {
-  this.ops.push({ type: 'put', key: key, value: value, options: options })
+  this.ops.push(xtend(options, { type: 'put', key: key, value: value }))
   return this
 }
 
 Batch.prototype.del = function (key, options) {
-  this.ops.push({ type: 'del', key: key, options: options })
+  this.ops.push(xtend(options, { type: 'del', key: key }))
   return this
 }
 
@@ -18,8 +30,13 @@ Batch.prototype.clear = function () {
   return this
 }
 
-Batch.prototype.write = function (cb) {
-  this._space.batch(this.ops, null, cb)
+Batch.prototype.write = function (options, cb) {
+  if (typeof options === 'function') {
+    cb = options
+    options = null
+  }
+
+  return this._batch(this.ops, options, cb)
 }
 
 module.exports = Batch
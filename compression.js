@@ -0,0 +1,88 @@
+'use strict'
+
+var encodings = require('level-codec/lib/encodings')
+var zlib = require('zlib')
+
+// values smaller than this many bytes are stored raw by default
+var THRESHOLD = 1024
+
+// prefix of compressed values, followed by a byte marking how the rest of the
+// value is stored; 0xff can't start utf8 or json values, which are otherwise
+// stored as is, so values written before compression was enabled still read
+var MAGIC = Buffer.from([ 0xff, 0x62, 0x73, 0x7a ])
+var MARKERS = { raw: 0, deflate: 1, brotli: 2 }
+
+var CODECS = {
+  deflate: { compress: zlib.deflateRawSync, decompress: zlib.inflateRawSync },
+  brotli: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+}
+
+// compression of values at or above a size threshold with zlib deflate or
+// brotli, either of which can be read back regardless of the current type
+function Compression(options) {
+  if (typeof options === 'string') options = { type: options }
+
+  this.type = options.type || 'deflate'
+  this.threshold = options.threshold != null ? options.threshold : THRESHOLD
+  this._wrapped = {}
+
+  if (!CODECS[this.type] || !CODECS[this.type].compress)
+    throw new Error('Unsupported compression type [' + this.type + ']')
+}
+
+function marked(data) {
+  return data.length > MAGIC.length && data.slice(0, MAGIC.length).equals(MAGIC)
+}
+
+function mark(type, data) {
+  return Buffer.concat([ MAGIC, Buffer.from([ MARKERS[type] ]), data ])
+}
+
+Compression.prototype.compress = function (data) {
+  // raw values are only marked when they could be mistaken for marked ones
+  if (data.length < this.threshold) return marked(data) ? mark('raw', data) : data
+
+  return mark(this.type, CODECS[this.type].compress(data))
+}
+
+Compression.prototype.decompress = function (data) {
+  if (!marked(data)) return data
+
+  var marker = data[MAGIC.length]
+  data = data.slice(MAGIC.length + 1)
+
+  for (var type in MARKERS) {
+    if (MARKERS[type] !== marker) continue
+    return type === 'raw' ? data : CODECS[type].decompress(data)
+  }
+
+  throw new Error('Unknown compressed value marker [' + marker + ']')
+}
+
+// wrap a value encoding to compress its output, memoized by encoding type
+Compression.prototype.wrap = function (encoding) {
+  var compression = this
+  var inner = typeof encoding === 'string' ? encodings[encoding] : encoding
+  if (!inner) throw new Error('Unknown value encoding [' + encoding + ']')
+
+  var type = 'compressed-' + inner.type
+  if (inner.type && this._wrapped[type]) return this._wrapped[type]
+
+  var wrapped = {
+    encode: function (value) {
+      var data = inner.encode(value)
+      return compression.compress(Buffer.isBuffer(data) ? data : Buffer.from(String(data)))
+    },
+    decode: function (data) {
+      var decompressed = compression.decompress(data)
+      return inner.decode(inner.buffer ? decompressed : decompressed.toString())
+    },
+    buffer: true,
+    type: type
+  }
+
+  if (inner.type) this._wrapped[type] = wrapped
+  return wrapped
+}
+
+module.exports = Compression
@@ -0,0 +1,107 @@
+'use strict'
+
+var crypto = require('crypto')
+var encodings = require('level-codec/lib/encodings')
+
+// prefix of encrypted values; 0xff can't start utf8 or json values, so values
+// stored before encryption was enabled can be told apart and encrypted
+var MAGIC = Buffer.from([ 0xff, 0x62, 0x73, 0x65 ])
+
+var IV_LENGTH = 12
+var TAG_LENGTH = 16
+
+// authenticated encryption of values with AES-GCM, under a current key id for
+// writes and any known key id, embedded in each ciphertext, for reads
+function Encryption(options) {
+  if (!options || !options.keys || !options.keys[options.keyId])
+    throw new Error('Encryption requires keys and the id of a current key')
+
+  this.keys = options.keys
+  this.keyId = options.keyId
+}
+
+Encryption.prototype._cipher = function (key) {
+  if (!Buffer.isBuffer(key) || [ 16, 24, 32 ].indexOf(key.length) < 0)
+    throw new Error('Encryption keys must be 16, 24 or 32 byte buffers')
+
+  return 'aes-' + key.length * 8 + '-gcm'
+}
+
+// encrypt a value, bound to the key it's stored under as associated data
+Encryption.prototype.encrypt = function (plaintext, aad) {
+  if (!Buffer.isBuffer(aad)) throw new Error('Encrypted values must be bound to a key')
+
+  var key = this.keys[this.keyId]
+  var id = Buffer.from(String(this.keyId))
+  var iv = crypto.randomBytes(IV_LENGTH)
+  var cipher = crypto.createCipheriv(this._cipher(key), key, iv)
+
+  cipher.setAAD(aad)
+  var ciphertext = Buffer.concat([ cipher.update(plaintext), cipher.final() ])
+
+  return Buffer.concat([
+    MAGIC,
+    Buffer.from([ id.length ]),
+    id,
+    iv,
+    cipher.getAuthTag(),
+    ciphertext
+  ])
+}
+
+Encryption.prototype.isEncrypted = function (data) {
+  return data.length > MAGIC.length && data.slice(0, MAGIC.length).equals(MAGIC)
+}
+
+// key id a value was encrypted with
+Encryption.prototype.keyIdOf = function (data) {
+  if (!this.isEncrypted(data))
+    throw new Error('Value is not encrypted, reencrypt the subspace to encrypt it')
+  return data.slice(MAGIC.length + 1, MAGIC.length + 1 + data[MAGIC.length]).toString()
+}
+
+// whether a value is encrypted under the current key id
+Encryption.prototype.isCurrent = function (data) {
+  return this.isEncrypted(data) && this.keyIdOf(data) === this.keyId
+}
+
+Encryption.prototype.decrypt = function (data, aad) {
+  if (!Buffer.isBuffer(aad)) throw new Error('Encrypted values must be bound to a key')
+
+  var id = this.keyIdOf(data)
+  var key = this.keys[id]
+  if (!key) throw new Error('Unknown encryption key id [' + id + ']')
+
+  var offset = MAGIC.length + 1 + data[MAGIC.length]
+  var iv = data.slice(offset, offset += IV_LENGTH)
+  var tag = data.slice(offset, offset += TAG_LENGTH)
+  var decipher = crypto.createDecipheriv(this._cipher(key), key, iv)
+
+  decipher.setAuthTag(tag)
+  decipher.setAAD(aad)
+
+  return Buffer.concat([ decipher.update(data.slice(offset)), decipher.final() ])
+}
+
+// wrap a value encoding to encrypt its output, bound to the key a value is
+// stored under as encoded within its subspace
+Encryption.prototype.wrap = function (encoding, subkey) {
+  var encryption = this
+  var inner = typeof encoding === 'string' ? encodings[encoding] : encoding
+  if (!inner) throw new Error('Unknown value encoding [' + encoding + ']')
+
+  return {
+    encode: function (value) {
+      var data = inner.encode(value)
+      return encryption.encrypt(Buffer.isBuffer(data) ? data : Buffer.from(String(data)), subkey)
+    },
+    decode: function (data) {
+      var plaintext = encryption.decrypt(data, subkey)
+      return inner.decode(inner.buffer ? plaintext : plaintext.toString())
+    },
+    buffer: true,
+    type: 'encrypted-' + inner.type
+  }
+}
+
+module.exports = Encryption
@@ -4,28 +4,41 @@ var Codec = require('level-codec')
 var EventEmitter = require('events').EventEmitter
 var inherits = require('util').inherits
 var NotFoundError = require('level-errors').NotFoundError
+var ReadError = require('level-errors').ReadError
+var Readable = require('stream').Readable
 var Transform = require('stream').Transform
+var WriteError = require('level-errors').WriteError
 var xtend = require('xtend')
 
+var AbstractSpace = require('./abstract')
 var Batch = require('./batch')
+var Compression = require('./compression')
+var Encryption = require('./encryption')
+var Iterator = require('./iterator')
 var Namespace = require('./namespace')
-var NOT_FOUND = /notfound/i
+var Schema = require('./schema')
+var rpc = require('./rpc')
+var SecondaryIndex = require('./secondary-index')
+var Snapshot = require('./snapshot')
+var StreamIterator = require('./stream-iterator')
+var Expiry = require('./ttl')
+var util = require('./util')
+var View = require('./view')
+
+var BATCH_SIZE = util.BATCH_SIZE
+var NOT_FOUND = util.NOT_FOUND
+var chunks = util.chunks
+var getCallback = util.getCallback
+var getOptions = util.getOptions
+var promiseCallback = util.promiseCallback
+var series = util.series
+
+// subspaces behind each view, with the access the view was created for, kept
+// out of reach of the code the views are handed to
+var viewed = new WeakMap()
 
 module.exports = Bytespace
 
-function getCallback (opts, cb) {
-  return typeof opts == 'function' ? opts : cb
-}
-
-// from https://github.com/Level/levelup/blob/master/lib/util.js
-function getOptions (options) {
-  if (typeof options == 'string')
-    return { valueEncoding: options }
-  if (typeof options != 'object')
-    return {}
-  return xtend(options)
-}
-
 // create a bytespace within a remote levelup instance
 // TODO: remove ns from signature to align w/ sublevel
 function Bytespace(db, ns, opts) {
@@ -34,19 +47,19 @@ function Bytespace(db, ns, opts) {
 
   if (!(ns instanceof Namespace)) {
 
-    // if db is a subspace mount as a nested subspace
-    if (db.namespace instanceof Namespace)
+    // if db is a subspace (or a view of one) mount as a nested subspace
+    if (db.namespace instanceof Namespace || db instanceof View)
       return db.sublevel(ns, opts)
 
     // otherwise it's a root subspace
-    ns = new Namespace([ ns ], opts && opts.hexNamespace)
+    ns = new Namespace([ ns ], opts && (opts.namespaceEncoding || opts.hexNamespace))
   }
 
   var space = this
 
   space.namespace = ns
   opts = space.options = xtend(Bytespace.options, db.options, opts)
-  ns.codec = new Codec(opts)
+  setup(ns, opts)
 
   // use provided methods manifest in options or get from db
   // TODO: can we remove this?
@@ -58,10 +71,24 @@ function Bytespace(db, ns, opts) {
     configurable: true
   })
 
+  // subspaces can be closed independently of the db, and defer operations
+  // issued while the db is opening, running them in order once it opens
+  space.status = 'open'
+  var pending = 0
+  var deferred = []
+  var closing = []
+  var nestedClosed = false
+
   // forward open and close events from base db w/o affecting listener count
   ;(function forwardOpen() {
     db.once('open', function () {
-      space.emit('open', space)
+      var calls = deferred
+      deferred = []
+      calls.forEach(function (call) {
+        call()
+      })
+
+      if (space.status !== 'closed') space.emit('open', space)
       forwardOpen()
     })
   })()
@@ -71,14 +98,14 @@ function Bytespace(db, ns, opts) {
     var closeEvent = db.createRpcStream ? 'close' : 'closed'
     db.once(closeEvent, function () {
       // only emit 'close' for sanity's sake
-      space.emit('close')
+      if (space.status !== 'closed') space.emit('close')
       forwardClose()
     })
   })()
 
-  // proxy `isOpen` to underlying db
+  // open while neither the subspace nor the db is closed
   space.isOpen = function () {
-    return db.isOpen()
+    return space.status === 'open' && db.isOpen()
   }
 
   // set multilevel `isClient` boolean
@@ -92,23 +119,70 @@ function Bytespace(db, ns, opts) {
     // TODO: memoize with bytewise-encoded hex string instead
     if (index[ns_]) return index[ns_]
 
-    return index[ns_] = new Bytespace(db, ns.append(ns_), xtend(opts, opts_))
+    var sub = index[ns_] = new Bytespace(db, ns.append(ns_), xtend(opts, opts_))
+    if (opts.bubbleEvents) bubbleEvents(sub, ns_)
+    return sub
+  }
+
+  // re-emit write events of a nested subspace with its path relative to this one
+  function bubbleEvents(sub, name) {
+    function path(nested) {
+      return [ name ].concat(nested || [])
+    }
+
+    sub.on('put', function (key, value, nested) {
+      space.emit('put', key, value, path(nested))
+    })
+    sub.on('del', function (key, nested) {
+      space.emit('del', key, path(nested))
+    })
+    sub.on('batch', function (ops, nested) {
+      space.emit('batch', ops, path(nested))
+    })
   }
 
   space.clone = function () {
     return new Bytespace(db, ns, opts)
   }
 
+  // views restricted to reading or writing, to hand subspaces to less trusted code
+  var views = {}
+
+  space.readOnly = function () {
+    return views.read || (views.read = view('read'))
+  }
+
+  space.writeOnly = function () {
+    return views.write || (views.write = view('write'))
+  }
+
+  function view(access) {
+    var view = new View(space, access)
+    viewed.set(view, { space: space, access: access })
+    return view
+  }
+
   function kOpts(initial) {
-    return xtend(initial, { keyEncoding: ns.keyEncoding, keyAsBuffer: !ns.hex })
+    return xtend(initial, { keyEncoding: ns.keyEncoding, keyAsBuffer: ns.keyAsBuffer })
   }
 
   function vOpts(initial) {
     return xtend({ valueEncoding: opts.valueEncoding }, initial)
   }
 
-  function kvOpts(initial) {
-    return vOpts(kOpts(initial))
+  // options to read or write the value of an encoded key as stored
+  function kvOpts(initial, k) {
+    var o = vOpts(kOpts(initial))
+    o.valueEncoding = ns.valueCodec(o.valueEncoding, ns.subkey(k))
+    return o
+  }
+
+  // encoded range to read, with values read as stored along with the keys
+  // needed to decode them
+  function encodeReadRange(opts) {
+    var range = ns.encodeRange(opts)
+    if (opts.values === false) return range
+    return xtend(range, { keys: true, valueEncoding: 'binary' })
   }
 
   function addEncodings(op, db) {
@@ -122,16 +196,19 @@ function Bytespace(db, ns, opts) {
   // method proxy implementations
   if (typeof db.get === 'function') {
     space.get = function (k, opts, cb) {
-      cb = getCallback(opts, cb)
+      cb = getCallback(opts, cb) || promiseCallback()
       opts = getOptions(opts)
 
       try {
-        db.get(ns.encode(k, opts), kvOpts(opts), handler)
+        var key = ns.encode(k, opts)
+        db.get(key, kvOpts(opts, key), handler)
       }
       catch (err) {
         process.nextTick(cb.bind(null, err))
       }
 
+      return cb.promise
+
       function handler(err, v) {
         // sanitize full keypath for notFound errors
         if (err && err.notFound || NOT_FOUND.test(err)) {
@@ -141,13 +218,143 @@ function Bytespace(db, ns, opts) {
           catch (_) {}
         }
 
-        cb(err, v)
+        if (err || !ns.expiry) return cb(err, v)
+
+        // treat expired keys not yet swept as missing
+        ns.expiry.filter([ k ], [ v ], function (err, values) {
+          if (err) return cb(err)
+          if (values[0] === undefined)
+            return cb(new NotFoundError('Key not found in database [' + k + ']'))
+          cb(null, v)
+        })
       }
     }
+
+    space.getMany = function (keys, opts, cb) {
+      cb = getCallback(opts, cb) || promiseCallback()
+      opts = getOptions(opts)
+
+      var values = new Array(keys.length)
+      var groups = []
+
+      try {
+        // group encoded keys by subspace so each can use its own encodings
+        keys.forEach(function (entry, i) {
+          var prefix = space
+
+          // read through view prefixes from their subspaces, if permitted
+          if (entry && entry.prefix instanceof View) {
+            prefix = viewPrefix(entry.prefix, 'read', 'getMany')
+            entry = entry.key
+          }
+          else if (entry && entry.prefix && entry.prefix.namespace instanceof Namespace) {
+            prefix = entry.prefix
+            entry = entry.key
+          }
+
+          var group = groups.filter(function (group) {
+            return group.prefix === prefix
+          })[0]
+
+          if (!group) {
+            groups.push(group = { prefix: prefix, keys: [], userKeys: [], indexes: [] })
+          }
+
+          group.keys.push(prefix.namespace.encode(entry, opts))
+          group.userKeys.push(entry)
+          group.indexes.push(i)
+        })
+      }
+      catch (err) {
+        process.nextTick(cb.bind(null, err))
+        return cb.promise
+      }
+
+      var pending = groups.length
+      if (!pending) process.nextTick(cb.bind(null, null, values))
+
+      groups.forEach(function (group) {
+        var groupNs = group.prefix.namespace
+        var encoding = opts.valueEncoding || group.prefix.options.valueEncoding
+
+        // values are read as stored and decoded with the keys they're stored under
+        var groupOpts = xtend(opts, {
+          keyEncoding: groupNs.keyEncoding,
+          keyAsBuffer: groupNs.keyAsBuffer,
+          valueEncoding: 'binary'
+        })
+
+        var expiry = groupNs.expiry
+
+        getGroup(group.keys, groupOpts, function (err, groupValues) {
+          if (err) return done(err)
+
+          try {
+            groupValues = groupValues.map(function (raw, j) {
+              if (raw === undefined) return raw
+              return util.decodeValue(groupNs, raw, encoding, groupNs.subkey(group.keys[j]))
+            })
+          }
+          catch (err) {
+            return done(err)
+          }
+
+          if (!expiry) return done(null, groupValues)
+          expiry.filter(group.userKeys, groupValues, done)
+        })
+
+        function done(err, groupValues) {
+          if (pending < 0) return
+          if (err) {
+            pending = -1
+            return cb(err)
+          }
+
+          group.indexes.forEach(function (index, j) {
+            values[index] = groupValues[j]
+          })
+
+          if (!--pending) cb(null, values)
+        }
+      })
+
+      return cb.promise
+    }
+  }
+
+  // get encoded keys from the db, natively if supported, leaving misses undefined
+  function getGroup(keys, opts, cb) {
+    if (typeof db.getMany === 'function')
+      return db.getMany(keys, opts, cb)
+
+    var values = new Array(keys.length)
+    var pending = keys.length
+    var failed = false
+
+    keys.forEach(function (key, i) {
+      db.get(key, opts, function (err, value) {
+        if (failed) return
+        if (err && !(err.notFound || NOT_FOUND.test(err))) {
+          failed = true
+          return cb(err)
+        }
+
+        values[i] = err ? undefined : value
+        if (!--pending) cb(null, values)
+      })
+    })
   }
 
-  // helper to register pre and post commit hooks
-  function addHook(hooks, hook) {
+  // helper to register pre and post commit hooks, optionally within a range
+  function addHook(hooks, range, hook) {
+    if (typeof range === 'function') {
+      hook = range
+      range = null
+    }
+
+    var inRange = ns.checker(range)
+    if (inRange) hook = filterHook(hook, inRange)
+
     hooks.push(hook)
     return function () {
       var i = hooks.indexOf(hook)
@@ -155,24 +362,141 @@ function Bytespace(db, ns, opts) {
     }
   }
 
+  // wrap hook to only fire for ops with keys that pass the range test
+  function filterHook(hook, inRange) {
+    // preserve callback arity of async prehooks
+    if (hook.length > 3) {
+      return function (op, add, ops, cb) {
+        if (inRange(op)) return hook.apply(this, arguments)
+        cb()
+      }
+    }
+
+    return function (op) {
+      if (inRange(op)) return hook.apply(this, arguments)
+    }
+  }
+
+  // clear every nested subspace, including those never mounted in-process
+  function clearNested(size, cb) {
+    var index = space.sublevels || {}
+    var names = Object.keys(index)
+
+    // mounted sublevels are cleared through batch to fire their hooks
+    series(names.length, function (i, next) {
+      index[names[i]].clear({ recursive: true, batchSize: size }, next)
+    }, function (err) {
+      if (err) return cb(err)
+
+      var range = ns.encodeNestedRange()
+      var keys = db.createReadStream(xtend(range, { keys: true, values: false }))
+
+      chunks(keys, size, function (keys, next) {
+        Snapshot.write(db, keys.map(function (key) {
+          return { type: 'del', key: key }
+        }), kOpts(), next)
+      }, cb)
+    })
+  }
+
+  // copy (or move) every key of this and nested subspaces to a new path,
+  // relative to the parent namespace, in chunked atomic batches
+  function transfer(path, opts, cb, move) {
+    var target = new Namespace(ns.path.slice(0, -1).concat(path), ns.encoding)
+    var size = opts.batchSize || BATCH_SIZE
+    var range = ns.encodeTreeRange()
+    var count = 0
+
+    if (ns.overlaps(target))
+      return process.nextTick(cb.bind(null, new Error('Cannot ' +
+        (move ? 'move' : 'copy') + ' a subspace into itself or its ancestors')))
+
+    // moves delete as they go so a rerun picks up where it stopped, but copies
+    // resume after the last key already written to the target
+    if (!opts.resume || move) return run()
+
+    var last
+    db.createReadStream(xtend(target.encodeTreeRange(), {
+      keys: true,
+      values: false,
+      reverse: true,
+      limit: 1
+    }))
+      .on('data', function (k) {
+        last = k
+      })
+      .on('error', cb)
+      .on('end', function () {
+        if (last !== undefined) {
+          delete range.gte
+          range.gt = target.rebase(last, ns)
+        }
+        run()
+      })
+
+    function run() {
+      var entries = db.createReadStream(xtend(range, { valueEncoding: 'binary' }))
+
+      chunks(entries, size, function (entries, next) {
+        var ops = []
+        var written = 0
+
+        try {
+          entries.forEach(function (data) {
+            ops.push({ type: 'put', key: ns.rebase(data.key, target), value: data.value })
+            if (move) ops.push({ type: 'del', key: data.key })
+
+            // hidden metadata (like the expiry of keys) moves along uncounted
+            if (ns.contains(ns.toBuffer(data.key)) ||
+              ns.parseTree(data.key).path.indexOf(null) < 0) written++
+          })
+        }
+        catch (err) {
+          return next(err)
+        }
+
+        Snapshot.write(db, ops, kOpts({ valueEncoding: 'binary' }), function (err) {
+          if (err) return next(err)
+
+          count += written
+          opts.progress && opts.progress(count)
+          next()
+        })
+      }, function (err) {
+        // subspaces in the target tree may now hold expiring keys
+        Expiry.forget(db, target)
+        cb(err, count)
+      })
+    }
+  }
+
   if (typeof db.batch === 'function') {
 
     space.del = function (k, opts, cb) {
       // redirect to batch
-      space.batch([{ type: 'del', key: k }], opts, cb)
+      return write([{ type: 'del', key: k }], opts, cb, true)
     }
 
     space.put = function (k, v, opts, cb) {
       // redirect to batch
-      space.batch([{ type: 'put', key: k, value: v }], opts, cb)
+      return write([{ type: 'put', key: k, value: v }], opts, cb, true)
     }
 
     space.batch = function (ops, opts, cb) {
-      if (!arguments.length) return new Batch(space)
+      if (!arguments.length) return new Batch(space.batch)
+      return write(ops, opts, cb)
+    }
+
+    // write ops in one atomic batch, emitting a `put` or `del` event rather than
+    // `batch` for the op of a single-key write
+    function write(ops, opts, cb, single) {
+      var first = ops[0]
 
-      cb = getCallback(opts, cb)
+      cb = getCallback(opts, cb) || promiseCallback()
       opts = getOptions(opts)
 
+      var i
+
       function add(op) {
         if (op === false) {
           return delete ops[i]
@@ -180,72 +504,288 @@ function Bytespace(db, ns, opts) {
         ops.push(op)
       }
 
-      try {
-        // encode batch ops and apply precommit hooks
-        for (var i = 0, len = ops.length; i < len; i++) {
-          var op = ops[i]
+      // apply precommit hooks, waiting on any async hooks before encoding ops
+      series(ops.length, function (index, next) {
+        var op = ops[i = index]
 
-          addEncodings(op, op.prefix)
+        // write through view prefixes to their subspaces, if permitted
+        if (op.prefix instanceof View) {
+          try {
+            op.prefix = viewPrefix(op.prefix, 'write', 'batch')
+          }
+          catch (err) {
+            return next(err)
+          }
+        }
 
-          op.prefix || (op.prefix = space)
+        addEncodings(op, op.prefix)
 
-          var ns = op.prefix.namespace
-          if (!(ns instanceof Namespace))
-            return cb('Unknown prefix in batch commit')
+        op.prefix || (op.prefix = space)
 
-          if (ns.prehooks.length) {
-            ns.trigger(ns.prehooks, op.prefix, [ op, add, ops ])
-          }
-        }
+        var ns = op.prefix.namespace
+        if (!(ns instanceof Namespace))
+          return next('Unknown prefix in batch commit')
 
-        if (!ops.length) return cb()
+        if (op.prefix.status === 'closed')
+          return next(new WriteError('Subspace is not open'))
 
-        var encodedOps = ops.map(function (op) {
-          return {
-            type: op.type,
-            key: op.prefix.namespace.encode(op.key, opts, op),
-            keyEncoding: ns.keyEncoding,
-            value: op.value,
-            // TODO: multilevel json serialization issue?
-            valueEncoding: op.valueEncoding,
-            sync: op.sync
-          }
+        if (!ns.prehooks.length) return next()
+
+        ns.trigger(ns.prehooks, op.prefix, [ op, add, ops ], next)
+      }, function (err) {
+        if (err) return cb(err)
+
+        // load whether the subspaces written hold expiring keys, whose expiry
+        // is tracked through writes
+        var expiries = []
+        ops.forEach(function (op) {
+          var expiry = op.prefix.namespace.expiry
+          if (expiry && expiries.indexOf(expiry) < 0) expiries.push(expiry)
         })
 
-        db.batch(encodedOps, kvOpts(opts), function (err) {
+        series(expiries.length, function (i, next) {
+          expiries[i].load(next)
+        }, function (err) {
           if (err) return cb(err)
 
-          // apply postcommit hooks for ops, setting encoded keys to initial state
           try {
-            ops.forEach(function (op) {
-              var ns = op.prefix.namespace
-
-              if (ns.posthooks.length) {
-                ns.trigger(ns.posthooks, op.prefix, [ op ])
-              }
-            })
+            validate()
+            expire()
           }
           catch (err) {
             return cb(err)
           }
 
-          cb()
+          commit()
+        })
+      })
+
+      return cb.promise
+
+      // reject puts of values failing the schema of their subspace
+      function validate() {
+        ops.forEach(function (op) {
+          var ns = op.prefix.namespace
+          var failure = op.type !== 'del' && ns.validate && ns.validate(op.value, op.key)
+
+          if (failure) throw new Schema.ValidationError(ns.path,
+            op.key, failure.rule, failure.message)
         })
       }
-      catch (err) {
-        process.nextTick(cb.bind(null, err))
+
+      // add metadata ops recording (or clearing) expiry of keys in subspaces
+      // holding expiring keys, once hooks have added all their ops
+      function expire() {
+        if (opts.ttl != null && !ns.expiry || ops.some(function (op) {
+          return op.ttl != null && !op.prefix.namespace.expiry
+        })) throw new Error('Subspace cannot hold the expiry of keys written with a ttl')
+
+        ops.slice().forEach(function (op) {
+          var expiry = op.prefix.namespace.expiry
+          if (!expiry) return
+
+          var ttl = op.ttl != null ? op.ttl : opts.ttl != null ? opts.ttl : expiry.ttl
+          ops.push.apply(ops, expiry.ops(op, ttl))
+        })
+      }
+
+      function commit() {
+        if (!ops.length) return cb()
+
+        try {
+          var encodedOps = ops.map(function (op) {
+            var ns = op.prefix.namespace
+            var key = ns.encode(op.key, opts, op)
+            var encoding = op.valueEncoding || opts.valueEncoding || op.prefix.options.valueEncoding
+
+            return {
+              type: op.type,
+              key: key,
+              keyEncoding: ns.keyEncoding,
+              value: op.value,
+              // TODO: multilevel json serialization issue?
+              valueEncoding: ns.valueCodec(encoding, ns.subkey(key)),
+              sync: op.sync
+            }
+          })
+
+          Snapshot.write(db, encodedOps, kOpts(opts), function (err) {
+            if (err) return cb(err)
+
+            // apply postcommit hooks for ops, setting encoded keys to initial state
+            try {
+              ops.forEach(function (op) {
+                var ns = op.prefix.namespace
+
+                if (ns.posthooks.length) {
+                  ns.trigger(ns.posthooks, op.prefix, [ op ])
+                }
+
+                // notify ancestors observing changes in nested namespaces
+                for (var parent = ns.parent; parent; parent = parent.parent) {
+                  if (parent.nestedhooks.length) {
+                    parent.trigger(parent.nestedhooks, op.prefix, [ op ])
+                  }
+                }
+              })
+            }
+            catch (err) {
+              return cb(err)
+            }
+
+            emitWrites()
+            cb()
+          })
+        }
+        catch (err) {
+          process.nextTick(cb.bind(null, err))
+        }
+      }
+
+      // emit levelup-style events on each subspace written, with decoded ops
+      function emitWrites() {
+        var groups = []
+
+        ops.forEach(function (op) {
+          if (single && op === first) {
+            if (op.type === 'del') return op.prefix.emit('del', op.key)
+            return op.prefix.emit('put', op.key, op.value)
+          }
+
+          var group = groups.filter(function (group) {
+            return group.space === op.prefix
+          })[0]
+
+          if (!group) groups.push(group = { space: op.prefix, ops: [] })
+          group.ops.push(op.type === 'del' ? { type: 'del', key: op.key } :
+            { type: 'put', key: op.key, value: op.value })
+        })
+
+        groups.forEach(function (group) {
+          group.space.emit('batch', group.ops)
+        })
+      }
+    }
+
+    if (typeof db.createReadStream === 'function') {
+      space.clear = function (opts, cb) {
+        cb = getCallback(opts, cb) || promiseCallback()
+        opts = getOptions(opts)
+
+        var size = opts.batchSize || BATCH_SIZE
+        var range = xtend(vOpts(opts), { keys: true, values: false })
+
+        // expired keys not yet swept are deleted too, so keys aren't filtered
+        var source = db.createReadStream(encodeReadRange(range))
+        var keys = source.pipe(decodeStream(range))
+        forwardErrors([ source ], keys)
+
+        // delete through batch in bounded chunks so hooks fire for every key
+        chunks(keys, size, function (keys, next) {
+          space.batch(keys.map(function (key) {
+            return { type: 'del', key: key }
+          }), { keyEncoding: opts.keyEncoding }, next)
+        }, function (err) {
+          if (err || !opts.recursive) return cb(err)
+          clearNested(size, cb)
+        })
+
+        return cb.promise
+      }
+
+      space.createChangeStream = function (opts) {
+        return changeStream(vOpts(opts))
+      }
+
+      space.copyTo = function (path, opts, cb) {
+        cb = getCallback(opts, cb) || promiseCallback()
+        transfer(path, getOptions(opts), cb)
+        return cb.promise
+      }
+
+      space.moveTo = function (path, opts, cb) {
+        cb = getCallback(opts, cb) || promiseCallback()
+        transfer(path, getOptions(opts), cb, true)
+        return cb.promise
+      }
+
+      // rewrite values encrypted with previous keys under the current key id
+      if (ns.encryption) {
+        space.reencrypt = function (opts, cb) {
+          cb = getCallback(opts, cb) || promiseCallback()
+          opts = getOptions(opts)
+
+          var encryption = ns.encryption
+          var count = 0
+          var entries = db.createReadStream(xtend(ns.encodeRange(), {
+            valueEncoding: 'binary'
+          }))
+
+          chunks(entries, opts.batchSize || BATCH_SIZE, function (entries, next) {
+            try {
+              var keys = entries.filter(function (data) {
+                return !encryption.isCurrent(data.value)
+              }).map(function (data) {
+                return data.key
+              })
+            }
+            catch (err) {
+              return next(err)
+            }
+
+            if (!keys.length) return next()
+
+            // reread values with other writes held off, so none land in between
+            Snapshot.exclusive(db, function (write, done) {
+              getGroup(keys, kOpts({ valueEncoding: 'binary' }), function (err, values) {
+                if (err) return done(err)
+
+                var ops = []
+
+                try {
+                  keys.forEach(function (k, i) {
+                    var value = values[i]
+                    if (value === undefined || encryption.isCurrent(value)) return
+
+                    // values stored before encryption was enabled are encrypted
+                    var subkey = ns.subkey(k)
+                    if (encryption.isEncrypted(value)) value = encryption.decrypt(value, subkey)
+                    value = encryption.encrypt(value, subkey)
+                    ops.push({ type: 'put', key: k, value: value })
+                  })
+                }
+                catch (err) {
+                  return done(err)
+                }
+
+                if (!ops.length) return done()
+
+                write(ops, kOpts({ valueEncoding: 'binary' }), function (err) {
+                  if (!err) count += ops.length
+                  done(err)
+                })
+              })
+            }, next)
+          }, function (err) {
+            cb(err, count)
+          })
+
+          return cb.promise
+        }
       }
     }
 
     space.pre = function (range, hook) {
-      // range is not (yet) implemented but here for sublevel compatibility
-      if (typeof range === 'function') hook = range
-      return addHook(ns.prehooks, hook)
+      return addHook(ns.prehooks, range, hook)
     }
 
     space.post = function (range, hook) {
-      if (typeof range === 'function') hook = range
-      return addHook(ns.posthooks, hook)
+      return addHook(ns.posthooks, range, hook)
+    }
+
+    // secondary index maintained in a child sublevel by prehooks
+    space.createIndex = function (name, map) {
+      return new SecondaryIndex(space, name, map)
     }
   }
 
@@ -253,7 +793,7 @@ function Bytespace(db, ns, opts) {
   else {
     if (typeof db.del === 'function') {
       space.del = function (k, opts, cb) {
-        cb = getCallback(opts, cb)
+        cb = getCallback(opts, cb) || promiseCallback()
         opts = getOptions(opts)
 
         try {
@@ -262,37 +802,46 @@ function Bytespace(db, ns, opts) {
         catch (err) {
           process.nextTick(cb.bind(null, err))
         }
+
+        return cb.promise
       }
     }
 
     if (typeof db.put === 'function') {
       space.put = function (k, v, opts, cb) {
-        cb = getCallback(opts, cb)
+        cb = getCallback(opts, cb) || promiseCallback()
         opts = getOptions(opts)
 
         try {
-          db.put(ns.encode(k, opts), v, kvOpts(opts), cb)
+          var key = ns.encode(k, opts)
+          db.put(key, v, kvOpts(opts, key), cb)
         }
         catch (err) {
           process.nextTick(cb.bind(null, err))
         }
+
+        return cb.promise
       }
     }
   }
 
-  // transform stream to decode data keys
-  function decodeStream(opts) {
+  // transform stream to decode data keys, and values read as stored unless
+  // already decoded by the db
+  function decodeStream(opts, decoded) {
     opts || (opts = {})
     var stream = Transform({ objectMode: true })
 
     stream._transform = function (data, _, cb) {
       try {
-        // decode keys even when keys or values aren't requested specifically
-        if ((opts.keys && opts.values) || (!opts.keys && !opts.values)) {
-          data.key = ns.decode(data.key, opts)
+        if (opts.values === false) {
+          if (opts.keys !== false) data = ns.decode(data, opts)
+        }
+        else if (decoded) {
+          if (opts.keys !== false) data.key = ns.decode(data.key, opts)
         }
-        else if (opts.keys) {
-          data = ns.decode(data, opts)
+        else {
+          var value = util.decodeValue(ns, data.value, opts.valueEncoding, ns.subkey(data.key))
+          data = opts.keys === false ? value : { key: ns.decode(data.key, opts), value: value }
         }
       }
       catch (err) {
@@ -307,11 +856,421 @@ function Bytespace(db, ns, opts) {
   // add read stream proxy methods if createReadStream is available
   // TODO: clean all this duplication up
   function readStream(opts) {
-    return db.createReadStream(ns.encodeRange(opts)).pipe(decodeStream(opts))
+    return readEntries(opts).stream
+  }
+
+  // source stream of raw entries in a range, and the decoded stream of those
+  // with keys that haven't expired
+  function readEntries(opts) {
+    // limits apply once expired keys are dropped
+    var source = db.createReadStream(encodeReadRange(opts.limit > 0 ?
+      xtend(opts, { limit: -1 }) : opts))
+    var unexpired = unexpiredStream(opts, function (data) {
+      return opts.values === false ? data : data.key
+    }, function () {
+      source.destroy && source.destroy()
+    })
+    var stream = source.pipe(unexpired).pipe(decodeStream(opts))
+
+    // stop reading as soon as the stream is destroyed, as the rest of a checked
+    // chunk is still pushed
+    var destroy = stream._destroy
+    stream._destroy = function () {
+      unexpired.unpipe(stream)
+      source.destroy && source.destroy()
+      return destroy.apply(this, arguments)
+    }
+
+    forwardErrors([ source, unexpired ], stream)
+    return { source: source, stream: stream }
+  }
+
+  function forwardErrors(sources, stream) {
+    sources.forEach(function (source) {
+      source.on('error', function (err) {
+        stream.emit('error', err)
+      })
+    })
+  }
+
+  // subspace holding an entry parsed by `parseTree`: the sublevel if it's
+  // mounted, or otherwise a namespace set up with the options it would
+  // inherit, so entries found on disk are read without mounting a sublevel
+  // (with its expiry and db listeners) for each. Subspaces are cached by prefix
+  function nestedAt(parsed, cache) {
+    var id = parsed.prefix.toString('hex')
+    if (cache[id]) return cache[id]
+
+    var sub = space
+    var i = 0
+    for (; i < parsed.path.length; i++) {
+      if (!sub.sublevels || !sub.sublevels.hasOwnProperty(parsed.path[i])) break
+      sub = sub.sublevels[parsed.path[i]]
+    }
+
+    if (i === parsed.path.length) return cache[id] = {
+      namespace: sub.namespace,
+      options: sub.options,
+      expiry: sub.namespace.expiry
+    }
+
+    var nested = sub.namespace
+    parsed.path.slice(i).forEach(function (name) {
+      nested = nested.append(name)
+    })
+    setup(nested, sub.options)
+
+    return cache[id] = {
+      namespace: nested,
+      options: sub.options,
+      expiry: typeof db.batch === 'function' ? new Expiry.Unmounted(db, nested) : null
+    }
+  }
+
+  // decode the key of an entry of a nested subspace, as parsed by `parseTree`
+  function decodeNestedKey(sub, parsed) {
+    var keyOpts = { keyEncoding: sub.options.keyEncoding }
+    var coerce = sub.namespace.codec.keyAsBuffer(keyOpts) ? Buffer.from : String
+    return sub.namespace.codec.decodeKey(coerce(parsed.key), keyOpts)
+  }
+
+  // transform stream dropping raw entries of this or nested subspaces whose
+  // keys have expired but not yet been swept, along with hidden metadata,
+  // ending after any `limit` of entries and calling stop. Entries of subspaces
+  // holding expiring keys are checked in chunks, holding back later entries to
+  // keep their order, and others pass straight through
+  function unexpiredStream(opts, keyOf, stop) {
+    var stream = Transform({ objectMode: true })
+    var limit = opts.limit > 0 ? opts.limit : -1
+    var size = limit > 0 ? Math.min(limit, BATCH_SIZE) : BATCH_SIZE
+    var own = { namespace: ns, options: space.options, expiry: ns.expiry }
+    var cache = {}
+    var count = 0
+    var chunk = []
+
+    function push(data) {
+      if (count === limit) return
+
+      stream.push(data)
+      if (++count === limit) {
+        stream.push(null)
+        stop && stop()
+      }
+    }
+
+    function check(cb) {
+      var entries = chunk
+      var groups = []
+
+      chunk = []
+
+      // group keys by the expiry of the subspace holding them
+      entries.forEach(function (entry, i) {
+        entry.kept = !entry.expiry
+        if (entry.kept) return
+
+        var group = groups.filter(function (group) {
+          return group.expiry === entry.expiry
+        })[0]
+
+        if (!group) groups.push(group = { expiry: entry.expiry, keys: [], indexes: [] })
+        group.keys.push(entry.key)
+        group.indexes.push(i)
+      })
+
+      series(groups.length, function (i, next) {
+        groups[i].expiry.filter(groups[i].keys, groups[i].indexes, function (err, indexes) {
+          if (err) return next(err)
+          indexes.forEach(function (index) {
+            if (index !== undefined) entries[index].kept = true
+          })
+          next()
+        })
+      }, function (err) {
+        if (err) return cb(err)
+
+        entries.forEach(function (entry) {
+          if (entry.kept) push(entry.data)
+        })
+        cb()
+      })
+    }
+
+    stream._transform = function (data, _, cb) {
+      if (count === limit) return cb()
+
+      try {
+        var k = keyOf(data)
+        var sub = own
+        var parsed
+
+        if (!ns.contains(ns.toBuffer(k))) {
+          parsed = ns.parseTree(k)
+
+          // skip hidden metadata
+          if (parsed.path.indexOf(null) >= 0) return cb()
+          sub = nestedAt(parsed, cache)
+        }
+      }
+      catch (err) {
+        return cb(err)
+      }
+
+      var expiry = sub.expiry
+      if (!expiry) return add()
+      expiry.load(function (err) {
+        if (err) return cb(err)
+        if (!expiry.expiring()) expiry = null
+        add()
+      })
+
+      function add() {
+        if (!expiry && !chunk.length) {
+          push(data)
+          return cb()
+        }
+
+        var entry = { data: data, expiry: expiry }
+
+        try {
+          if (expiry) entry.key = parsed ? decodeNestedKey(sub, parsed) : ns.decode(k, opts)
+        }
+        catch (err) {
+          return cb(err)
+        }
+
+        chunk.push(entry)
+        if (chunk.length < size) return cb()
+        check(cb)
+      }
+    }
+
+    stream._flush = function (cb) {
+      if (!chunk.length || count === limit) return cb()
+      check(cb)
+    }
+
+    return stream
+  }
+
+  // encoded ranges for a read range, plus nested subspaces when recursive
+  function encodeRanges(opts) {
+    var ranges = [ ns.encodeRange(opts) ]
+    if (opts.recursive) ranges.push(ns.encodeNestedRange())
+    return ranges
+  }
+
+  // call fn on each encoded range and sum the results
+  function sumRanges(ranges, fn, cb) {
+    var total = 0
+
+    series(ranges.length, function (i, next) {
+      fn(ranges[i], function (err, n) {
+        total += n || 0
+        next(err)
+      })
+    }, function (err) {
+      cb(err, total)
+    })
+  }
+
+  function countRange(range, cb) {
+    var count = 0
+    var source = db.createReadStream(xtend(range, { keys: true, values: false }))
+    var unexpired = unexpiredStream({}, function (k) {
+      return k
+    })
+
+    source.on('error', cb)
+    source.pipe(unexpired)
+      .on('data', function () {
+        count++
+      })
+      .on('error', cb)
+      .on('end', function () {
+        cb(null, count)
+      })
+  }
+
+  function sizeRange(range, cb) {
+    var start = 'gte' in range ? range.gte : range.gt
+    var end = 'lte' in range ? range.lte : range.lt
+    var store = db.db
+
+    // levelup's approximateSize is deprecated, so ask its store, unless the
+    // store is an abstract-leveldown one without `_approximateSize` (like
+    // memdown), which would estimate every range as empty
+    if (store && typeof store.approximateSize === 'function') {
+      if (typeof store._approximateSize === 'function' || typeof store._get !== 'function')
+        return store.approximateSize(start, end, cb)
+    }
+    else if (typeof db.approximateSize === 'function') {
+      return db.approximateSize(start, end, kOpts(), cb)
+    }
+
+    // fall back to scanning the range and summing encoded entry sizes
+    var size = 0
+
+    db.createReadStream(xtend(range, { valueEncoding: 'binary' }))
+      .on('data', function (data) {
+        size += data.key.length + data.value.length
+      })
+      .on('error', cb)
+      .on('end', function () {
+        cb(null, size)
+      })
+  }
+
+  // stream decoded changes from posthooks, optionally preceded by the current
+  // contents of the range, and optionally including nested subspaces
+  function changeStream(opts) {
+    var stream = Readable({ objectMode: true })
+    var buffered = opts.old ? [] : null
+    var removers = []
+
+    function change(op, path) {
+      var data = { type: op.type, key: op.key }
+      if (op.type !== 'del') data.value = op.value
+      if (opts.recursive) data.path = path || []
+      return data
+    }
+
+    function emit(data) {
+      if (buffered) buffered.push(data)
+      else stream.push(data)
+    }
+
+    stream._read = function () {}
+
+    stream._destroy = function (err, cb) {
+      removers.forEach(function (remove) {
+        remove()
+      })
+      cb(err)
+    }
+
+    // register hooks before reading so no change can be missed
+    removers.push(addHook(ns.posthooks, opts, function (op) {
+      emit(change(op))
+    }))
+
+    if (opts.recursive) {
+      removers.push(addHook(ns.nestedhooks, null, function (op) {
+        emit(change(op, op.prefix.namespace.path.slice(ns.path.length)))
+      }))
+    }
+
+    if (!buffered) return stream
+
+    var sources = [ readStream(xtend(opts, { keys: true, values: true })) ]
+
+    if (opts.recursive) {
+      var nested = Transform({ objectMode: true })
+      var cache = {}
+      var source = db.createReadStream(xtend(ns.encodeNestedRange(), {
+        valueEncoding: 'binary'
+      }))
+      var unexpired = unexpiredStream({}, function (data) {
+        return data.key
+      })
+
+      // decode entries of nested subspaces with the encodings of the sublevel
+      // holding them (or those it would inherit, if it isn't mounted), along
+      // with their relative path
+      nested._transform = function (data, _, cb) {
+        try {
+          var parsed = ns.parseTree(data.key)
+          var sub = nestedAt(parsed, cache)
+          var key = decodeNestedKey(sub, parsed)
+          var value = util.decodeValue(sub.namespace, data.value,
+            sub.options.valueEncoding, parsed.key)
+        }
+        catch (err) {
+          return cb(err)
+        }
+        cb(null, { key: key, value: value, path: parsed.path })
+      }
+
+      forwardErrors([ source, unexpired ], nested)
+      sources.push(source.pipe(unexpired).pipe(nested))
+    }
+
+    // listen for errors of every source up front, as later sources start
+    // reading (and decoding) before their turn
+    var failed = false
+    sources.forEach(function (source) {
+      source.on('error', function (err) {
+        if (failed) return
+        failed = true
+        stream.emit('error', err)
+      })
+    })
+
+    // stream existing entries as puts, then switch over to buffered changes
+    series(sources.length, function (i, next) {
+      sources[i]
+        .on('data', function (data) {
+          stream.push(change({ type: 'put', key: data.key, value: data.value }, data.path))
+        })
+        .on('end', next)
+    }, function () {
+      buffered.forEach(function (data) {
+        stream.push(data)
+      })
+      buffered = null
+    })
+
+    return stream
+  }
+
+  // async iterator over a read stream, destroying the source on early exit
+  function iterate(opts) {
+    var entries = readEntries(opts)
+
+    return new StreamIterator(entries.stream, function () {
+      entries.source.destroy()
+    })
+  }
+
+  // stream path elements of nested subspaces, skipping past each one found
+  function subspaceStream() {
+    var range = xtend(ns.encodeNestedRange(), { keys: true, values: false, limit: 1 })
+    var stream = Readable({ objectMode: true })
+
+    stream._read = function () {
+      var found
+
+      db.createReadStream(range)
+        .on('data', function (k) {
+          found = k
+        })
+        .on('error', function (err) {
+          stream.emit('error', err)
+        })
+        .on('end', function () {
+          if (found === undefined) return stream.push(null)
+
+          try {
+            var nested = ns.decodeNested(found)
+          }
+          catch (err) {
+            return stream.emit('error', err)
+          }
+
+          range = xtend(range, { gte: nested.next })
+
+          // skip hidden metadata namespaces
+          if (nested.name === null) return stream._read()
+
+          stream.push(nested.name)
+        })
+    }
+
+    return stream
   }
 
   function liveStream(opts) {
-    return db.createLiveStream(ns.encodeRange(opts)).pipe(decodeStream(opts))
+    return db.createLiveStream(ns.encodeRange(opts)).pipe(decodeStream(opts, true))
   }
 
   if (typeof db.createReadStream === 'function') {
@@ -319,6 +1278,52 @@ function Bytespace(db, ns, opts) {
       return readStream(xtend({ keys: true, values: true }, vOpts(opts)))
     }
     if (db.readStream) space.readStream = space.createReadStream
+
+    space.count = function (opts, cb) {
+      cb = getCallback(opts, cb) || promiseCallback()
+      sumRanges(encodeRanges(getOptions(opts)), countRange, cb)
+      return cb.promise
+    }
+
+    space.approximateSize = function (opts, cb) {
+      cb = getCallback(opts, cb) || promiseCallback()
+      sumRanges(encodeRanges(getOptions(opts)), sizeRange, cb)
+      return cb.promise
+    }
+
+    // discover nested subspaces stored in the db
+    space.createSubspaceStream = function () {
+      return subspaceStream()
+    }
+
+    space.listSubspaces = function (cb) {
+      cb = cb || promiseCallback()
+
+      var names = []
+      subspaceStream()
+        .on('data', function (name) {
+          names.push(name)
+        })
+        .on('error', cb)
+        .on('end', function () {
+          cb(null, names)
+        })
+
+      return cb.promise
+    }
+
+    // async iterators for `for await` loops over ranges
+    space.entries = function (opts) {
+      return iterate(xtend({ keys: true, values: true }, vOpts(opts)))
+    }
+
+    space.keys = function (opts) {
+      return iterate(xtend(vOpts(opts), { keys: true, values: false }))
+    }
+
+    space.values = function (opts) {
+      return iterate(xtend(vOpts(opts), { keys: false, values: true }))
+    }
   }
 
   if (typeof db.createKeyStream === 'function') {
@@ -335,18 +1340,255 @@ function Bytespace(db, ns, opts) {
     if (db.valueStream) space.valueStream = space.createValueStream
   }
 
+  // add iterator proxy if available
+  if (typeof db.iterator === 'function') {
+    space.iterator = function (opts) {
+      return new Iterator(ns, db, xtend({ keys: true, values: true }, vOpts(opts)))
+    }
+  }
+
   // add createLiveStream proxy if available
   if (typeof db.createLiveStream === 'function') {
     space.createLiveStream = function (opts) {
       var o = xtend(vOpts(opts), ns.encodeRange(opts))
-      return db.createLiveStream(o).pipe(decodeStream(opts))
+      o.valueEncoding = ns.valueCodec(o.valueEncoding)
+      return db.createLiveStream(o).pipe(decodeStream(opts, true))
     }
     if (db.liveStream) space.liveStream = space.createLiveStream
   }
+
+  // abstract-leveldown store over the subspace, to use with levelup and others
+  if (typeof db.batch === 'function' && typeof db.createReadStream === 'function') {
+    space.toAbstract = function () {
+      return new AbstractSpace(space)
+    }
+  }
+
+  // consistent reads of this subspace and its sublevels as of now
+  if (typeof db.snapshot === 'function' || typeof db.batch === 'function' &&
+    typeof db.get === 'function' && typeof db.createReadStream === 'function') {
+    space.snapshot = function (opts) {
+      return new Snapshot(space, db, opts)
+    }
+  }
+
+  // serve this subspace, and the subspaces nested within it, over a duplex stream
+  space.createRpcStream = function () {
+    return rpc.createServer(space)
+  }
+
+  // track expiring keys of subspaces able to hold the metadata, other than the
+  // hidden metadata subspaces themselves
+  if (typeof db.batch === 'function' && ns.path.indexOf(null) < 0 && !ns.expiry) {
+    var expiry = ns.expiry = new Expiry(db, space, new Bytespace(db, ns.meta('ttl'),
+      Expiry.META_OPTIONS), opts.ttl, opts.sweepInterval)
+
+    // sweep periodically while the db is open
+    expiry.start()
+    space.on('open', function () {
+      expiry.start()
+    })
+    space.on('close', function () {
+      expiry.stop()
+    })
+  }
+
+  // delete expired keys, calling back with the number deleted
+  if (ns.expiry) {
+    space.sweep = function (cb) {
+      return ns.expiry.sweep(cb)
+    }
+  }
+
+  // reopen a closed subspace, along with its sublevels
+  space.open = function (cb) {
+    cb = cb || promiseCallback()
+
+    if (space.status === 'closing') {
+      closing.push(function () {
+        space.open(cb)
+      })
+      return cb.promise
+    }
+
+    if (space.status === 'closed') {
+      space.status = 'open'
+      if (db.isOpen()) space.emit('open', space)
+    }
+
+    var nested = sublevels()
+    series(nested.length, function (i, next) {
+      nested[i].open(next)
+    }, function (err) {
+      cb(err, space)
+    })
+
+    return cb.promise
+  }
+
+  // close the subspace and its sublevels once their pending operations are
+  // done, failing any called after, without closing the db
+  space.close = function (cb) {
+    cb = cb || promiseCallback()
+
+    if (space.status === 'closed') {
+      process.nextTick(cb)
+      return cb.promise
+    }
+
+    closing.push(cb)
+    if (space.status === 'closing') return cb.promise
+    space.status = 'closing'
+    nestedClosed = false
+
+    var nested = sublevels()
+    series(nested.length, function (i, next) {
+      nested[i].close(next)
+    }, function () {
+      nestedClosed = true
+      settle()
+    })
+
+    return cb.promise
+  }
+
+  function sublevels() {
+    var index = space.sublevels || {}
+    return Object.keys(index).map(function (name) {
+      return index[name]
+    })
+  }
+
+  // finish closing once pending operations and sublevels are done
+  function settle() {
+    if (space.status !== 'closing' || pending || !nestedClosed) return
+
+    var cbs = closing
+    closing = []
+    space.status = 'closed'
+    space.emit('close')
+
+    cbs.forEach(function (cb) {
+      cb()
+    })
+  }
+
+  // track pending calls of async methods so closing can wait for them, and
+  // defer them until the db opens
+  function guard(method, arity, NotOpenError) {
+    var fn = space[method]
+    if (typeof fn !== 'function') return
+
+    space[method] = function () {
+      var args = [].slice.call(arguments)
+
+      // chained batches are written by calling `batch` again
+      if (method === 'batch' && !args.length) return fn.call(space)
+
+      var cb = typeof args[args.length - 1] === 'function' ? args.pop() : promiseCallback()
+      args = args.slice(0, arity)
+      while (args.length < arity) args.push(undefined)
+
+      if (space.status === 'closed') {
+        process.nextTick(cb.bind(null, new NotOpenError('Subspace is not open')))
+        return cb.promise
+      }
+
+      pending++
+      args.push(function (err, value) {
+        pending--
+        if (!pending) process.nextTick(settle)
+        cb(err, value)
+      })
+
+      // let the db report its own errors when it's closed
+      if (!db.isOpen() && !(db.isClosed && db.isClosed())) {
+        deferred.push(function () {
+          fn.apply(space, args)
+        })
+      }
+      else fn.apply(space, args)
+
+      return cb.promise
+    }
+  }
+
+  // fail streams and iterators created once the subspace is closed
+  function guardRead(method) {
+    var fn = space[method]
+    if (typeof fn !== 'function') return
+
+    space[method] = function () {
+      if (space.status === 'closed') {
+        var err = new ReadError('Subspace is not open')
+        if (!/Stream$/.test(method)) throw err
+
+        var stream = Readable({ objectMode: true })
+        stream._read = function () {}
+        process.nextTick(stream.emit.bind(stream, 'error', err))
+        return stream
+      }
+
+      return fn.apply(space, arguments)
+    }
+  }
+
+  var READS = { get: 2, getMany: 2, count: 1, approximateSize: 1, listSubspaces: 0 }
+  var WRITES = {
+    put: 3, del: 2, batch: 2, clear: 1, copyTo: 2, moveTo: 2, sweep: 0, reencrypt: 1
+  }
+
+  Object.keys(READS).forEach(function (method) {
+    guard(method, READS[method], ReadError)
+  })
+
+  Object.keys(WRITES).forEach(function (method) {
+    guard(method, WRITES[method], WriteError)
+  })
+
+  ;[
+    'createReadStream', 'readStream', 'createKeyStream', 'keyStream',
+    'createValueStream', 'valueStream', 'createLiveStream', 'liveStream',
+    'createChangeStream', 'createSubspaceStream', 'iterator', 'entries', 'keys',
+    'values', 'snapshot'
+  ].forEach(guardRead)
+}
+
+// set up the encodings, validation, compression and encryption of a namespace
+function setup(ns, opts) {
+  ns.codec = new Codec(opts)
+  ns.validate = opts.schema ? Schema.compile(opts.schema) : null
+  // a boolean `compression` option is left to leveldown (as snappy compression)
+  ns.compression = opts.compression && opts.compression !== true ?
+    new Compression(opts.compression) : null
+  ns.encryption = opts.encryption ? new Encryption(opts.encryption) : null
+
+  // value encoding as stored under a key (as encoded within the subspace),
+  // wrapping the configured encoding to compress and then encrypt values
+  ns.valueCodec = function (encoding, subkey) {
+    if (!encoding) return encoding
+    if (ns.compression) encoding = ns.compression.wrap(encoding)
+    if (ns.encryption) encoding = ns.encryption.wrap(encoding, subkey)
+    return encoding
+  }
+}
+
+// subspace to read or write through a view prefix with, if the view permits it
+function viewPrefix(view, access, method) {
+  var entry = viewed.get(view)
+  if (!entry || entry.access !== access) throw new View.PermissionError(view, method)
+  return entry.space
 }
 
 inherits(Bytespace, EventEmitter)
 
+Bytespace.ValidationError = Schema.ValidationError
+
+Bytespace.PermissionError = View.PermissionError
+
+// connect to a subspace served over a duplex stream by `createRpcStream`
+Bytespace.connect = rpc.connect
+
 // default options for root subspace db (from levelup/lib/util.js)
 Bytespace.options = {
   keyEncoding: 'utf8',
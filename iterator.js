@@ -0,0 +1,70 @@
+var compare = require('bytewise-core/util').compare
+
+var xtend = require('xtend')
+
+var util = require('./util')
+
+// values are read as stored, and decoded with the value encoding of the reads
+// and the keys they're stored under
+var RAW = { keys: true, valueEncoding: 'binary', valueAsBuffer: true }
+
+// namespace and backend iterator of each iterator, which aren't exposed as
+// read-only views hand out iterators, and the backend one can seek anywhere
+var internals = new WeakMap()
+
+// wrap a backend iterator to encode its range and decode keys and values for a
+// namespace
+function Iterator(ns, db, opts) {
+  var range = ns.encodeRange(opts)
+
+  internals.set(this, {
+    ns: ns,
+    opts: opts,
+    range: range,
+    iterator: db.iterator(xtend(range, RAW))
+  })
+}
+
+Iterator.prototype.next = function (cb) {
+  var self = internals.get(this)
+  var ns = self.ns
+  var opts = self.opts
+
+  self.iterator.next(function (err, key, value) {
+    if (err) return cb(err)
+
+    // iterator is exhausted
+    if (key === undefined && value === undefined) return cb()
+
+    try {
+      if (value !== undefined)
+        value = util.decodeValue(ns, value, opts.valueEncoding, ns.subkey(key))
+      key = opts.keys === false ? undefined : ns.decode(key, opts)
+    }
+    catch (err) {
+      return cb(err)
+    }
+
+    cb(null, key, value)
+  })
+}
+
+Iterator.prototype.seek = function (target) {
+  var self = internals.get(this)
+  var range = self.range
+  var key = self.ns.encode(target, self.opts)
+  var lower = 'gte' in range ? range.gte : range.gt
+  var upper = 'lte' in range ? range.lte : range.lt
+
+  // clamp target to the iterator range so seeking can't escape the subspace
+  if (compare(key, lower) < 0) key = lower
+  else if (compare(key, upper) > 0) key = upper
+
+  self.iterator.seek(key)
+}
+
+Iterator.prototype.end = function (cb) {
+  internals.get(this).iterator.end(cb)
+}
+
+module.exports = Iterator
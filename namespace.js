@@ -1,26 +1,98 @@
 'use strict'
 
 var bytewise = require('bytewise-core')
+var compare = require('bytewise-core/util').compare
 var equal = require('bytewise-core/util').equal
+var parse = require('bytewise-core/util').parse
 var xtend = require('xtend')
 
-var LOWER_BOUND = new Buffer([])
-var UPPER_BOUND = new Buffer([ 0xff ])
-var RANGE_KEYS = [ 'gt', 'lt', 'gte', 'lte', 'min', 'max', 'start', 'end' ]
+var LOWER_BOUND = Buffer.from([])
+var UPPER_BOUND = Buffer.from([ 0xff ])
+var OWN_LOWER_BOUND = Buffer.from([ 0x00 ])
+var NESTED_LOWER_BOUND = Buffer.from([ 0x01 ])
+var RANGE_KEYS = [ 'gt', 'lt', 'gte', 'lte', 'min', 'max', 'start', 'end', 'prefix' ]
 
-// brand namespace instance to keep track of subspace root
-function Namespace(path, hex) {
-  this.hex = !!hex
-  this.keyEncoding = hex ? 'utf8' : 'binary'
+// base64 alphabet in ascii order, so encoded strings sort like their bytes
+var SORTABLE_ALPHABET = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz'
+var BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function translate(s, from, to) {
+  var chars = new Array(s.length)
+  for (var i = 0; i < s.length; i++) chars[i] = to[from.indexOf(s[i])]
+  return chars.join('')
+}
+
+// encodings of full keys as stored, all preserving the sort order of the bytes
+var ENCODINGS = {
+  binary: {
+    encode: function (buffer) {
+      return buffer
+    },
+    decode: function (k) {
+      return k
+    }
+  },
+  hex: {
+    encode: function (buffer) {
+      return buffer.toString('hex')
+    },
+    decode: function (k) {
+      return Buffer.from(k, 'hex')
+    }
+  },
+  latin1: {
+    encode: function (buffer) {
+      return buffer.toString('latin1')
+    },
+    decode: function (k) {
+      return Buffer.from(k, 'latin1')
+    }
+  },
+  'base64-sortable': {
+    encode: function (buffer) {
+      var base64 = buffer.toString('base64').replace(/=+$/, '')
+      return translate(base64, BASE64_ALPHABET, SORTABLE_ALPHABET)
+    },
+    decode: function (k) {
+      return Buffer.from(translate(k, SORTABLE_ALPHABET, BASE64_ALPHABET), 'base64')
+    }
+  }
+}
+
+// brand namespace instance to keep track of subspace root, with keys stored as
+// buffers or, for backends with string keys, strings in a given encoding
+function Namespace(path, encoding) {
+  // `true` for the legacy `hexNamespace` option
+  if (encoding === true) encoding = 'hex'
+  encoding = encoding || 'binary'
+
+  if (!ENCODINGS.hasOwnProperty(encoding))
+    throw new Error('Unknown namespace encoding [' + encoding + ']')
+
+  this.encoding = encoding
+  this.keyAsBuffer = encoding === 'binary'
+  this.keyEncoding = this.keyAsBuffer ? 'binary' : 'utf8'
 
   this.path = path
   this.buffer = bytewise.encode(path)
   this.prehooks = []
   this.posthooks = []
+
+  // posthooks observing ops in any namespace nested below this one
+  this.nestedhooks = []
 }
 
 Namespace.prototype.append = function (ns) {
-  return new Namespace(this.path.concat(ns), this.hex)
+  var child = new Namespace(this.path.concat(ns), this.encoding)
+  child.parent = this
+  return child
+}
+
+// namespace for hidden metadata about this one, nested within it under a
+// reserved `null` path element so it's skipped when listing subspaces, and
+// copied or moved along with the subspace
+Namespace.prototype.meta = function (name) {
+  return new Namespace(this.path.concat(null, name), this.encoding)
 }
 
 Namespace.prototype.contains = function (k) {
@@ -28,17 +100,28 @@ Namespace.prototype.contains = function (k) {
   return equal(this.buffer, k.slice(0, this.buffer.length))
 }
 
-Namespace.prototype.decode = function (k, opts) {
-  if (this.hex) {
-    if (typeof k !== 'string') {
-      throw new TypeError('Key must be encoded as a hex string')
-    }
+// full key as stored for an encoded buffer
+Namespace.prototype.toKey = function (buffer) {
+  return ENCODINGS[this.encoding].encode(buffer)
+}
+
+// encoded buffer of a full key as stored
+Namespace.prototype.toBuffer = function (k) {
+  return ENCODINGS[this.encoding].decode(k)
+}
+
+// key as encoded within this subspace, without the namespace prefix
+Namespace.prototype.subkey = function (k) {
+  return this.toBuffer(k).slice(this.buffer.length)
+}
 
-    k = new Buffer(k, 'hex')
+Namespace.prototype.decode = function (k, opts) {
+  if (this.keyAsBuffer ? !Buffer.isBuffer(k) : typeof k !== 'string') {
+    throw new TypeError('Key must be encoded as a ' +
+      (this.keyAsBuffer ? 'buffer' : this.encoding + ' string'))
   }
 
-  else if (!Buffer.isBuffer(k))
-    throw new TypeError('Key must be encoded as a buffer')
+  k = this.toBuffer(k)
 
   // TODO: throw?
   if (!this.contains(k))
@@ -46,8 +129,8 @@ Namespace.prototype.decode = function (k, opts) {
 
   // slice off prefix and run through codec
   var encoded = k.slice(this.buffer.length)
-  var coerce = this.codec.keyAsBuffer(opts) ? Buffer : String
-  return this.codec.decodeKey(coerce(encoded))
+  var coerce = this.codec.keyAsBuffer(opts) ? Buffer.from : String
+  return this.codec.decodeKey(coerce(encoded), opts)
 }
 
 Namespace.prototype.encode = function (k, opts, batchOpts) {
@@ -62,15 +145,15 @@ Namespace.prototype.encode = function (k, opts, batchOpts) {
   }
   else {
     var encoded = this.codec.encodeKey(k, opts, batchOpts)
-    buffer = Buffer.concat([ buffer, new Buffer(encoded) ])
+    buffer = Buffer.concat([ buffer, Buffer.from(encoded) ])
   }
 
-  return this.hex ? buffer.toString('hex') : buffer
+  return this.toKey(buffer)
 }
 
 Namespace.prototype.encodeRange = function (range) {
   var opts = xtend(range, {
-    keyAsBuffer: !this.hex,
+    keyAsBuffer: this.keyAsBuffer,
     keyEncoding: this.keyEncoding
   })
 
@@ -112,39 +195,229 @@ Namespace.prototype.encodeRange = function (range) {
     delete opts.end
   }
 
+  // encode bounds with any key encoding given for the range
   if (has.gt) {
-    opts.gt = this.encode(opts.gt)
+    opts.gt = this.encode(opts.gt, range)
     delete opts.gte
   }
   else if (has.gte) {
-    opts.gte = this.encode(opts.gte)
+    opts.gte = this.encode(opts.gte, range)
   }
   else {
     opts.gt = this.encode(LOWER_BOUND)
   }
 
   if (has.lt) {
-    opts.lt = this.encode(opts.lt)
+    opts.lt = this.encode(opts.lt, range)
     delete opts.lte
   }
   else if (has.lte)
-    opts.lte = this.encode(opts.lte)
+    opts.lte = this.encode(opts.lte, range)
   else {
     opts.lt = this.encode(UPPER_BOUND)
   }
 
+  if (has.prefix) {
+    narrowToPrefix(opts, this.encodePrefix(opts.prefix, range))
+    delete opts.prefix
+  }
+
   return opts
 }
 
+// encode bounds of keys starting with a prefix, or with the leading elements of
+// a bytewise-encoded array key when the prefix is an array
+Namespace.prototype.encodePrefix = function (prefix, opts) {
+  var encoded = Buffer.from(this.codec.encodeKey(prefix, opts))
+
+  // strip array terminator so longer arrays sort within the prefix bounds
+  if (Array.isArray(prefix) && encoded[encoded.length - 1] === 0x00)
+    encoded = encoded.slice(0, -1)
+
+  var lower = Buffer.concat([ this.buffer, encoded ])
+  var upper = Buffer.concat([ lower, UPPER_BOUND ])
+
+  return {
+    gte: this.toKey(lower),
+    lt: this.toKey(upper)
+  }
+}
+
+// narrow encoded range bounds to the intersection with prefix bounds
+function narrowToPrefix(opts, bounds) {
+  var lower = 'gt' in opts ? opts.gt : opts.gte
+  var upper = 'lt' in opts ? opts.lt : opts.lte
+
+  if (compare(bounds.gte, lower) > 0) {
+    delete opts.gt
+    opts.gte = bounds.gte
+  }
+
+  if (compare(bounds.lt, upper) <= 0) {
+    delete opts.lte
+    opts.lt = bounds.lt
+  }
+}
+
+// create a predicate to test whether an op's key falls within a hook range
+Namespace.prototype.checker = function (range) {
+  var ns = this
+
+  // sublevel-style string ranges match keys with the given prefix
+  if (typeof range === 'string') {
+    var prefix = ns.encode(range)
+    return function (op) {
+      var k = ns.encode(op.key, null, op)
+      return compare(prefix, k.slice(0, prefix.length)) === 0
+    }
+  }
+
+  // ranges without bounds cover the whole namespace
+  if (!range || typeof range !== 'object' || !RANGE_KEYS.some(function (k) {
+    return k in range
+  })) return null
+
+  var bounds = ns.encodeRange(range)
+
+  return function (op) {
+    var k = ns.encode(op.key, null, op)
+
+    if ('gt' in bounds && compare(k, bounds.gt) <= 0) return false
+    if ('gte' in bounds && compare(k, bounds.gte) < 0) return false
+    if ('lt' in bounds && compare(k, bounds.lt) >= 0) return false
+    if ('lte' in bounds && compare(k, bounds.lte) > 0) return false
+
+    return true
+  }
+}
+
+// encode a range covering the keys of this and all nested namespaces
+Namespace.prototype.encodeTreeRange = function () {
+  return encodeSubtree(this, OWN_LOWER_BOUND)
+}
+
+// encode a range covering every key of namespaces nested below this one
+Namespace.prototype.encodeNestedRange = function () {
+  return encodeSubtree(this, NESTED_LOWER_BOUND)
+}
+
+// strip array terminator so nested path elements sort after our own keys
+function encodeSubtree(ns, lower) {
+  var base = ns.buffer.slice(0, -1)
+  return {
+    gte: ns.toKey(Buffer.concat([ base, lower ])),
+    lt: ns.toKey(Buffer.concat([ base, UPPER_BOUND ])),
+    keyAsBuffer: ns.keyAsBuffer,
+    keyEncoding: ns.keyEncoding
+  }
+}
+
+// test whether either namespace is nested within (or equal to) the other
+Namespace.prototype.overlaps = function (ns) {
+  var a = this.buffer.slice(0, -1)
+  var b = ns.buffer.slice(0, -1)
+  var length = Math.min(a.length, b.length)
+  return equal(a.slice(0, length), b.slice(0, length))
+}
+
+// move an encoded key from within the tree of this namespace to another
+Namespace.prototype.rebase = function (k, ns) {
+  k = this.toBuffer(k)
+
+  var key = Buffer.concat([
+    ns.buffer.slice(0, -1),
+    k.slice(this.buffer.length - 1)
+  ])
+
+  return ns.toKey(key)
+}
+
+// parse an encoded key from anywhere within the tree of this namespace into
+// its path relative to this namespace, the key as encoded in that subspace and
+// the encoded prefix of that subspace
+Namespace.prototype.parseTree = function (k) {
+  k = this.toBuffer(k)
+
+  var result = parse(k.slice(1), bytewise, bytewise.getType(k[0]))
+
+  return {
+    path: result[0].slice(this.path.length),
+    key: k.slice(result[1] + 1),
+    prefix: k.slice(0, result[1] + 1)
+  }
+}
+
+// decode the next path element of the nested namespace holding an encoded key
+// and the encoded lower bound of any following sibling namespaces
+Namespace.prototype.decodeNested = function (k) {
+  k = this.toBuffer(k)
+
+  var start = this.buffer.length - 1
+  var result = parse(k.slice(start + 1), bytewise, bytewise.getType(k[start]))
+  var next = Buffer.concat([ k.slice(0, start + 1 + result[1]), UPPER_BOUND ])
+
+  return {
+    name: result[0],
+    next: this.toKey(next)
+  }
+}
+
 Namespace.prototype.hasHooks = function (ns) {
   return !!(this.prehooks.length || this.posthooks.length)
 }
 
 // loop over hooks and trigger in the context of subspace
-Namespace.prototype.trigger = function(hooks, space, args) {
-  for (var i = 0, len = hooks.length; i < len; i++) {
-    hooks[i].apply(space, args)
+// when a callback is provided hooks may be async, either by accepting a trailing
+// callback argument or returning a promise, and are run in series
+Namespace.prototype.trigger = function(hooks, space, args, cb) {
+  var i = 0
+  var len = hooks.length
+
+  if (!cb) {
+    for (; i < len; i++) {
+      hooks[i].apply(space, args)
+    }
+    return
   }
+
+  ;(function next(err) {
+    if (err) return cb(err)
+    if (i >= len) return cb()
+
+    var hook = hooks[i++]
+    var async = hook.length > args.length
+    var called = false
+    var result
+
+    function done(err) {
+      if (called) return
+      called = true
+      next(err)
+    }
+
+    try {
+      result = hook.apply(space, async ? args.concat(done) : args)
+    }
+    catch (err) {
+      // rethrow errors from further down the chain once the hook has finished
+      if (called) throw err
+      called = true
+      return cb(err)
+    }
+
+    if (async) return
+
+    if (result && typeof result.then === 'function') {
+      // escape the promise chain before continuing
+      return result.then(function () {
+        process.nextTick(done)
+      }, function (err) {
+        process.nextTick(done.bind(null, err || new Error('Precommit hook rejected')))
+      })
+    }
+
+    next()
+  })()
 }
 
 module.exports = Namespace
@@ -0,0 +1,410 @@
+'use strict'
+
+var Duplex = require('stream').Duplex
+var NotFoundError = require('level-errors').NotFoundError
+var Readable = require('stream').Readable
+var StringDecoder = require('string_decoder').StringDecoder
+
+var Batch = require('./batch')
+var util = require('./util')
+
+// methods calling back with a single result, by their arity without callback
+var CALLS = { get: 2, put: 3, del: 2, batch: 2 }
+
+var STREAMS = [ 'createReadStream', 'createKeyStream', 'createValueStream' ]
+
+// sublevels mounted to resolve client paths are kept by the served subspace,
+// so at most this many are mounted for the clients of each served subspace
+var MAX_MOUNTED = 1000
+
+// number of sublevels mounted for clients, by served subspace
+var mounted = new WeakMap()
+
+// longest message accepted, so a peer never sending a newline can't grow the
+// buffered message without limit
+var MAX_MESSAGE = 16 * 1024 * 1024
+
+// messages are newline-delimited json, with buffers revived from their json form
+function stringify(message) {
+  return JSON.stringify(message) + '\n'
+}
+
+function revive(key, value) {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data))
+    return Buffer.from(value.data)
+  return value
+}
+
+// call fn with each message parsed from chunks of a byte stream, and error
+// (if given, or otherwise throwing) with each line that can't be parsed, or
+// once a message is too long, with `true` as the message is then dropped
+function splitter(fn, error) {
+  var decoder = new StringDecoder('utf8')
+  var buffered = ''
+
+  error = error || function (err) {
+    throw err
+  }
+
+  return function (chunk) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.write(chunk)
+
+    var lines = buffered.split('\n')
+    buffered = lines.pop()
+
+    lines.forEach(function (line) {
+      if (!line) return
+      if (line.length > MAX_MESSAGE) return error(new Error('Message too long'), true)
+
+      try {
+        var message = JSON.parse(line, revive)
+      }
+      catch (err) {
+        return error(err)
+      }
+
+      fn(message)
+    })
+
+    if (buffered.length > MAX_MESSAGE) {
+      buffered = ''
+      error(new Error('Message too long'), true)
+    }
+  }
+}
+
+function formatPath(path) {
+  return '[' + path.join(', ') + ']'
+}
+
+// error as json, with subspace paths made relative to the served subspace so
+// clients don't learn where it's mounted
+function errorToJSON(err, root) {
+  var json = { message: err.message, name: err.name }
+  if (err.notFound) json.notFound = true
+
+  // include properties of structured errors, like validation failures
+  Object.keys(err).forEach(function (k) {
+    if (!(k in json)) json[k] = err[k]
+  })
+
+  if (Array.isArray(err.path)) {
+    json.path = err.path.slice(root.length)
+    json.message = json.message.split(formatPath(err.path)).join(formatPath(json.path))
+  }
+
+  return json
+}
+
+// whether a sublevel is mounted already, on a subspace or the subspace of a view
+function isMounted(space, name) {
+  if (typeof space._mounted === 'function') return space._mounted(name)
+  return !!space.sublevels && space.sublevels.hasOwnProperty(name)
+}
+
+function errorFromJSON(json) {
+  if (json.notFound) return new NotFoundError(json.message)
+
+  var err = new Error(json.message)
+  Object.keys(json).forEach(function (k) {
+    if (k !== 'message') err[k] = json[k]
+  })
+
+  return err
+}
+
+// serve requests for a subspace and the subspaces nested within it, which are
+// resolved by path relative to the served space so clients can't escape it
+function createServer(space) {
+  var stream = Duplex()
+  var sources = {}
+  var root = (space.namespace || space).path
+
+  function resolve(path) {
+    return (path || []).reduce(function (sub, name) {
+      if (isMounted(sub, name)) return sub.sublevel(name)
+
+      var count = mounted.get(space) || 0
+      if (count >= MAX_MOUNTED) throw new Error('Too many subspaces resolved for clients')
+
+      mounted.set(space, count + 1)
+      return sub.sublevel(name)
+    }, space)
+  }
+
+  function send(message) {
+    if (stream.push(stringify(message))) return
+
+    // pause read streams until the client catches up
+    Object.keys(sources).forEach(function (id) {
+      sources[id].pause()
+    })
+  }
+
+  function call(id, target, method, args) {
+    if (typeof target[method] !== 'function')
+      throw new Error('Method not supported [' + method + ']')
+
+    var params = args.slice(0, CALLS[method])
+
+    // resolve prefixes of batch ops from their paths
+    if (method === 'batch') {
+      params[0] = (params[0] || []).map(function (op) {
+        var resolved = { type: op.type, key: op.key, value: op.value }
+        for (var k in op) {
+          if (!(k in resolved) && k !== 'path' && k !== 'prefix') resolved[k] = op[k]
+        }
+        if (op.path) resolved.prefix = resolve(op.path)
+        return resolved
+      })
+    }
+
+    target[method].apply(target, params.concat(function (err, result) {
+      send(err ? { id: id, error: errorToJSON(err, root) } : { id: id, result: result })
+    }))
+  }
+
+  function read(id, target, method, options) {
+    if (typeof target[method] !== 'function')
+      throw new Error('Method not supported [' + method + ']')
+
+    var source = sources[id] = target[method](options)
+
+    source
+      .on('data', function (data) {
+        send({ id: id, data: data })
+      })
+      .on('error', function (err) {
+        delete sources[id]
+        send({ id: id, error: errorToJSON(err, root) })
+      })
+      .on('end', function () {
+        delete sources[id]
+        send({ id: id, end: true })
+      })
+  }
+
+  var dropped = false
+
+  var split = splitter(function (message) {
+    if (dropped) return
+    if (!message || typeof message !== 'object')
+      return send({ id: null, error: errorToJSON(new Error('Invalid message'), root) })
+
+    var id = message.id
+
+    try {
+      if (message.method === 'destroy') {
+        if (sources[id]) sources[id].destroy()
+        delete sources[id]
+        return
+      }
+
+      var target = resolve(message.path)
+
+      if (CALLS.hasOwnProperty(message.method))
+        call(id, target, message.method, message.args || [])
+      else if (STREAMS.indexOf(message.method) >= 0)
+        read(id, target, message.method, message.args && message.args[0])
+      else
+        throw new Error('Unknown method [' + message.method + ']')
+    }
+    catch (err) {
+      send({ id: id, error: errorToJSON(err, root) })
+    }
+  }, function (err, tooLong) {
+    if (dropped) return
+
+    // reply to malformed messages rather than failing the stream, which a
+    // transport piped without an error handler would throw
+    send({ id: null, error: errorToJSON(err, root) })
+
+    // and drop clients sending messages too long to buffer
+    if (tooLong) drop()
+  })
+
+  // stop serving requests, and end the response side
+  function drop() {
+    dropped = true
+    Object.keys(sources).forEach(function (id) {
+      sources[id].destroy()
+    })
+    sources = {}
+    stream.push(null)
+  }
+
+  stream._read = function () {
+    Object.keys(sources).forEach(function (id) {
+      sources[id].resume()
+    })
+  }
+
+  stream._write = function (chunk, _, cb) {
+    if (!dropped) split(chunk)
+    cb()
+  }
+
+  stream._destroy = function (err, cb) {
+    Object.keys(sources).forEach(function (id) {
+      sources[id].destroy()
+    })
+    sources = {}
+    cb(err)
+  }
+
+  // end the response side once the client is done sending requests
+  stream.on('finish', function () {
+    if (!dropped) stream.push(null)
+  })
+
+  return stream
+}
+
+// client connection multiplexing requests over a duplex stream
+function Connection(stream) {
+  var connection = this
+
+  this._stream = stream
+  this._id = 0
+  this._handlers = {}
+
+  stream.on('data', splitter(function (message) {
+    var handler = connection._handlers[message.id]
+    handler && handler(message)
+  }))
+
+  function close() {
+    var handlers = connection._handlers
+    connection._handlers = {}
+
+    Object.keys(handlers).forEach(function (id) {
+      handlers[id]({ id: id, error: { message: 'Connection closed' } })
+    })
+  }
+
+  stream.on('end', close)
+  stream.on('close', close)
+  stream.on('error', close)
+}
+
+Connection.prototype.request = function (method, path, args, handler) {
+  var id = ++this._id
+  this._handlers[id] = handler
+  this._stream.write(stringify({ id: id, method: method, path: path, args: args }))
+  return id
+}
+
+Connection.prototype.call = function (method, path, args, cb) {
+  var connection = this
+
+  this.request(method, path, args, function (message) {
+    delete connection._handlers[message.id]
+    if (message.error) return cb(errorFromJSON(message.error))
+    cb(null, message.result)
+  })
+}
+
+Connection.prototype.read = function (method, path, options) {
+  var connection = this
+  var stream = Readable({ objectMode: true })
+  var id
+
+  stream._read = function () {}
+
+  stream._destroy = function (err, cb) {
+    if (connection._handlers[id]) {
+      delete connection._handlers[id]
+      connection._stream.write(stringify({ id: id, method: 'destroy' }))
+    }
+    cb(err)
+  }
+
+  id = this.request(method, path, [ options ], function (message) {
+    if ('data' in message) return stream.push(message.data)
+
+    delete connection._handlers[id]
+    if (message.error) return stream.emit('error', errorFromJSON(message.error))
+    stream.push(null)
+  })
+
+  return stream
+}
+
+// client for a remote subspace, mirroring the subspace api for the methods
+// served over rpc, with paths relative to the subspace served
+function RemoteSpace(connection, path) {
+  this.path = path
+  this._connection = connection
+  this._sublevels = {}
+}
+
+RemoteSpace.prototype._call = function (method, args, opts, cb) {
+  cb = util.getCallback(opts, cb) || util.promiseCallback()
+  this._connection.call(method, this.path, args.concat(util.getOptions(opts)), cb)
+  return cb.promise
+}
+
+RemoteSpace.prototype.get = function (key, opts, cb) {
+  return this._call('get', [ key ], opts, cb)
+}
+
+RemoteSpace.prototype.put = function (key, value, opts, cb) {
+  return this._call('put', [ key, value ], opts, cb)
+}
+
+RemoteSpace.prototype.del = function (key, opts, cb) {
+  return this._call('del', [ key ], opts, cb)
+}
+
+RemoteSpace.prototype.batch = function (ops, opts, cb) {
+  if (!arguments.length) return new Batch(this.batch.bind(this))
+
+  try {
+    ops = this._ops(ops)
+  }
+  catch (err) {
+    cb = util.getCallback(opts, cb) || util.promiseCallback()
+    process.nextTick(cb.bind(null, err))
+    return cb.promise
+  }
+
+  return this._call('batch', [ ops ], opts, cb)
+}
+
+// replace remote subspace prefixes of batch ops with their paths
+RemoteSpace.prototype._ops = function (ops) {
+  var connection = this._connection
+
+  return ops.map(function (op) {
+    if (!op.prefix) return op
+    if (!(op.prefix instanceof RemoteSpace) || op.prefix._connection !== connection)
+      throw new Error('Unknown prefix in batch commit')
+
+    var remote = {}
+    for (var k in op) {
+      if (k !== 'prefix') remote[k] = op[k]
+    }
+    remote.path = op.prefix.path
+    return remote
+  })
+}
+
+STREAMS.forEach(function (method) {
+  RemoteSpace.prototype[method] = function (options) {
+    return this._connection.read(method, this.path, options || {})
+  }
+})
+
+RemoteSpace.prototype.sublevel = function (name) {
+  var index = this._sublevels
+  if (index[name]) return index[name]
+  return index[name] = new RemoteSpace(this._connection, this.path.concat(name))
+}
+
+function connect(stream) {
+  return new RemoteSpace(new Connection(stream), [])
+}
+
+exports.connect = connect
+exports.createServer = createServer
+exports.RemoteSpace = RemoteSpace
@@ -0,0 +1,137 @@
+'use strict'
+
+var inherits = require('util').inherits
+
+// error for values rejected by a subspace schema, naming the failing rule
+function ValidationError(path, key, rule, message) {
+  Error.call(this)
+  if (Error.captureStackTrace) Error.captureStackTrace(this, ValidationError)
+
+  this.message = 'Invalid value for key [' + key + '] in subspace [' +
+    path.join(', ') + ']: ' + (message || 'failed ' + rule)
+  this.path = path
+  this.key = key
+  this.rule = rule
+}
+
+inherits(ValidationError, Error)
+
+ValidationError.prototype.name = 'ValidationError'
+ValidationError.prototype.invalid = true
+
+// compile a schema into a function returning a `{ rule, message }` failure, if
+// any, for a value. Validator functions are passed the value and key and must
+// return true for valid values, or may return a string naming the failed rule
+function compile(schema) {
+  if (typeof schema === 'function') {
+    return function (value, key) {
+      var result = schema(value, key)
+      if (result === true) return
+
+      return {
+        rule: typeof result === 'string' ? result : 'validator',
+        message: typeof result === 'string' ? 'failed ' + result : null
+      }
+    }
+  }
+
+  return function (value) {
+    return check(schema, value, 'value', '')
+  }
+}
+
+// json type of a value, distinguishing integers, arrays and null
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && value % 1 === 0) return 'integer'
+  return typeof value
+}
+
+function hasType(value, type) {
+  var actual = typeOf(value)
+  return actual === type || type === 'number' && actual === 'integer'
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+// check a value against a json-schema subset, returning the first failure
+function check(schema, value, at, rule) {
+  var failure
+
+  function fail(name, message) {
+    failure = { rule: rule + name, message: at + ' ' + message }
+    return failure
+  }
+
+  if (schema.type !== undefined) {
+    var types = [].concat(schema.type)
+    if (!types.some(hasType.bind(null, value)))
+      return fail('type', 'must be of type ' + types.join(' or '))
+  }
+
+  if (schema.enum && !schema.enum.some(same.bind(null, value)))
+    return fail('enum', 'must be one of ' + JSON.stringify(schema.enum))
+
+  if ('const' in schema && !same(value, schema.const))
+    return fail('const', 'must equal ' + JSON.stringify(schema.const))
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      return fail('minimum', 'must be >= ' + schema.minimum)
+    if (schema.maximum !== undefined && value > schema.maximum)
+      return fail('maximum', 'must be <= ' + schema.maximum)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+      return fail('exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+      return fail('exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      return fail('minLength', 'must have at least ' + schema.minLength + ' characters')
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      return fail('maxLength', 'must have at most ' + schema.maxLength + ' characters')
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+      return fail('pattern', 'must match ' + schema.pattern)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      return fail('minItems', 'must have at least ' + schema.minItems + ' items')
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      return fail('maxItems', 'must have at most ' + schema.maxItems + ' items')
+
+    if (schema.items) {
+      value.some(function (item, i) {
+        return failure = check(schema.items, item, at + '[' + i + ']', rule + 'items.')
+      })
+      if (failure) return failure
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    var properties = schema.properties || {}
+
+    ;(schema.required || []).some(function (name) {
+      if (!(name in value)) return fail('required', 'must have property ' + name)
+    })
+    if (failure) return failure
+
+    Object.keys(value).some(function (name) {
+      var at_ = at + '.' + name
+
+      if (properties.hasOwnProperty(name))
+        return failure = check(properties[name], value[name], at_, rule + 'properties.' + name + '.')
+
+      if (schema.additionalProperties === false)
+        return fail('additionalProperties', 'must not have property ' + name)
+    })
+    if (failure) return failure
+  }
+}
+
+exports.compile = compile
+exports.ValidationError = ValidationError
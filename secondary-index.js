@@ -0,0 +1,180 @@
+'use strict'
+
+var bytewise = require('bytewise-core')
+var equal = require('bytewise-core/util').equal
+var Transform = require('stream').Transform
+var xtend = require('xtend')
+
+var util = require('./util')
+
+// options for index entries, keyed by bytewise `[ indexValue, primaryKey ]`
+var ENTRY_OPTIONS = { keyEncoding: bytewise, valueEncoding: 'utf8' }
+
+// secondary index over a subspace, stored in a child sublevel and kept in sync
+// by a precommit hook adding index ops to the same batch as primary writes
+function SecondaryIndex(space, name, map) {
+  var index = this
+
+  // index entries aren't subject to the schema of the records they index
+  this.sublevel = space.sublevel(name, xtend(ENTRY_OPTIONS, { schema: null }))
+  this._space = space
+  this._map = map
+
+  // index values staged for each key by earlier ops of the same batch
+  var staged = new WeakMap()
+
+  this._remove = space.pre(function (op, add, ops, cb) {
+    var batch = staged.get(ops)
+    if (!batch) staged.set(ops, batch = {})
+
+    try {
+      var k = space.namespace.encode(op.key, op)
+      var id = Buffer.isBuffer(k) ? k.toString('hex') : k
+      var next = op.type === 'del' ? undefined : index._value(op.key, op.value)
+    }
+    catch (err) {
+      return cb(err)
+    }
+
+    if (batch.hasOwnProperty(id)) return update(batch[id])
+
+    space.get(op.key, function (err, value) {
+      if (err && !err.notFound) return cb(err)
+
+      try {
+        var prev = err ? undefined : index._value(op.key, value)
+      }
+      catch (err) {
+        return cb(err)
+      }
+
+      update(prev)
+    })
+
+    function update(prev) {
+      batch[id] = next
+
+      if (prev !== undefined && next !== undefined &&
+          equal(bytewise.encode(prev), bytewise.encode(next))) return cb()
+
+      if (prev !== undefined) add(index._entry('del', prev, op.key))
+      if (next !== undefined) add(index._entry('put', next, op.key))
+      cb()
+    }
+  })
+}
+
+// map a primary record to its index value, undefined when not indexed
+SecondaryIndex.prototype._value = function (key, value) {
+  var indexed = this._map(key, value)
+  return indexed === null ? undefined : indexed
+}
+
+SecondaryIndex.prototype._entry = function (type, indexed, key) {
+  var op = xtend(ENTRY_OPTIONS, {
+    type: type,
+    key: [ indexed, key ],
+    prefix: this.sublevel
+  })
+  if (type === 'put') op.value = ''
+  return op
+}
+
+// translate a range of index values into a range of index entries
+function entryRange(range) {
+  var opts = xtend(range)
+
+  if ('gt' in opts) opts.gt = [ opts.gt, undefined ]
+  if ('gte' in opts) opts.gte = [ opts.gte ]
+  if ('lt' in opts) opts.lt = [ opts.lt ]
+  if ('lte' in opts) opts.lte = [ opts.lte, undefined ]
+
+  return opts
+}
+
+// stream primary records, as `{ key, value }`, for index values in a range
+SecondaryIndex.prototype.createReadStream = function (range) {
+  var index = this
+  var space = this._space
+  var stream = Transform({ objectMode: true })
+
+  stream._transform = function (entry, _, cb) {
+    var key = entry[1]
+
+    space.get(key, function (err, value) {
+      // skip entries for records removed since the entry was read
+      if (err && err.notFound) return cb()
+      if (err) return cb(err)
+
+      // and stale entries for records no longer mapped to the entry's value,
+      // left by concurrent writes or overwritten keys that had expired
+      try {
+        var indexed = index._value(key, value)
+        if (indexed === undefined ||
+            !equal(bytewise.encode(indexed), bytewise.encode(entry[0]))) return cb()
+      }
+      catch (err) {
+        return cb(err)
+      }
+
+      cb(null, { key: key, value: value })
+    })
+  }
+
+  return this.sublevel.createKeyStream(entryRange(range)).pipe(stream)
+}
+
+// get all primary records with the given index value
+SecondaryIndex.prototype.get = function (indexed, cb) {
+  cb = cb || util.promiseCallback()
+
+  var records = []
+  this.createReadStream({ gte: indexed, lte: indexed })
+    .on('data', function (record) {
+      records.push(record)
+    })
+    .on('error', cb)
+    .on('end', function () {
+      cb(null, records)
+    })
+
+  return cb.promise
+}
+
+// rebuild the index from every record currently stored in the subspace
+SecondaryIndex.prototype.rebuild = function (cb) {
+  cb = cb || util.promiseCallback()
+
+  var index = this
+
+  index.sublevel.clear(function (err) {
+    if (err) return cb(err)
+
+    var records = index._space.createReadStream()
+
+    util.chunks(records, util.BATCH_SIZE, function (records, next) {
+      var ops = []
+
+      try {
+        records.forEach(function (record) {
+          var indexed = index._value(record.key, record.value)
+          if (indexed !== undefined) ops.push(index._entry('put', indexed, record.key))
+        })
+      }
+      catch (err) {
+        return next(err)
+      }
+
+      index.sublevel.batch(ops, next)
+    }, cb)
+  })
+
+  return cb.promise
+}
+
+// stop maintaining the index, leaving its entries in place
+SecondaryIndex.prototype.remove = function () {
+  this._remove()
+}
+
+module.exports = SecondaryIndex
@@ -0,0 +1,430 @@
+'use strict'
+
+var compare = require('bytewise-core/util').compare
+var NotFoundError = require('level-errors').NotFoundError
+var Transform = require('stream').Transform
+var xtend = require('xtend')
+
+var util = require('./util')
+
+// open snapshots, in-flight writes and exclusive access to each db
+var dbs = new WeakMap()
+
+// subspace, namespace and shared state of each snapshot, which aren't exposed
+// as snapshots are handed out by read-only views
+var internals = new WeakMap()
+
+// values are read as stored, and decoded with the encodings of each subspace
+var RAW = { valueEncoding: 'binary' }
+
+function state(db) {
+  var s = dbs.get(db)
+  if (!s) dbs.set(db, s = {
+    snapshots: [],
+    writes: [],
+    locked: false,
+    blocked: [],
+    exclusive: []
+  })
+  return s
+}
+
+// start the next exclusive fn once no writes are in flight
+function idle(s) {
+  if (s.locked || s.writes.length || !s.exclusive.length) return
+  s.exclusive.shift()()
+}
+
+// identity of an encoded key, stored as a buffer or a string
+function id(k) {
+  return Buffer.isBuffer(k) ? k.toString('hex') : k
+}
+
+function inRange(k, range) {
+  if ('gt' in range && compare(k, range.gt) <= 0) return false
+  if ('gte' in range && compare(k, range.gte) < 0) return false
+  if ('lt' in range && compare(k, range.lt) >= 0) return false
+  if ('lte' in range && compare(k, range.lte) > 0) return false
+  return true
+}
+
+// consistent view of a subspace and its sublevels, read from a db snapshot
+// when the db has them, or otherwise from the db with copies of the values
+// overwritten since the snapshot was taken
+function Snapshot(space, db, opts, shared) {
+  internals.set(this, {
+    space: space,
+    ns: space.namespace,
+    shared: shared || open(space, db, opts || {}),
+    sublevels: {}
+  })
+}
+
+function open(space, db, opts) {
+  var shared = {
+    db: db,
+    range: space.namespace.encodeTreeRange(),
+    source: db,
+    copies: {},
+    waiting: 0,
+    queue: [],
+    released: false,
+    timeout: 'timeout' in opts ? opts.timeout : Infinity,
+    reading: 0,
+    timer: null
+  }
+
+  idleTimer(shared)
+
+  if (typeof db.snapshot === 'function') {
+    shared.source = db.snapshot()
+    return shared
+  }
+
+  // wait for writes already in flight, which won't copy values for us
+  var s = state(db)
+  s.snapshots.push(shared)
+  s.writes.forEach(function (write) {
+    write.push(shared)
+    shared.waiting++
+  })
+
+  return shared
+}
+
+// write encoded ops to a db, first copying any values they overwrite within
+// the range of an open snapshot
+Snapshot.write = function (db, ops, options, cb) {
+  var s = state(db)
+
+  if (s.locked) return s.blocked.push(function () {
+    copyAndWrite(s, db, ops, options, cb)
+  })
+
+  copyAndWrite(s, db, ops, options, cb)
+}
+
+// call fn with a write function once writes in flight have landed, holding off
+// other writes until fn calls done, so it can read keys and write them back
+// without losing writes made in between
+Snapshot.exclusive = function (db, fn, cb) {
+  var s = state(db)
+
+  s.exclusive.push(function () {
+    s.locked = true
+
+    fn(function (ops, options, cb) {
+      copyAndWrite(s, db, ops, options, cb)
+    }, function () {
+      var blocked = s.blocked
+      s.locked = false
+      s.blocked = []
+
+      blocked.forEach(function (fn) {
+        fn()
+      })
+      idle(s)
+
+      cb.apply(null, arguments)
+    })
+  })
+
+  idle(s)
+}
+
+function copyAndWrite(s, db, ops, options, cb) {
+  var write = []
+  var reads = []
+
+  s.snapshots.forEach(function (shared) {
+    ops.forEach(function (op) {
+      if (inRange(op.key, shared.range)) reads.push({ shared: shared, key: op.key })
+    })
+  })
+
+  s.writes.push(write)
+
+  util.series(reads.length, function (i, next) {
+    var shared = reads[i].shared
+    var k = reads[i].key
+
+    if (shared.copies.hasOwnProperty(id(k))) return next()
+
+    var opts = xtend(RAW, { keyEncoding: shared.range.keyEncoding })
+    db.get(k, opts, function (err, value) {
+      if (err && !err.notFound) return next(err)
+
+      // writes to a key wait for its copy, so the first copy made is the value
+      // as of the snapshot
+      if (!shared.copies.hasOwnProperty(id(k)))
+        shared.copies[id(k)] = { key: k, value: err ? undefined : value }
+      next()
+    })
+  }, function (err) {
+    if (err) return done(err)
+    db.batch(ops, options, done)
+  })
+
+  function done(err) {
+    s.writes.splice(s.writes.indexOf(write), 1)
+    idle(s)
+
+    write.forEach(function (shared) {
+      if (--shared.waiting) return
+
+      var queue = shared.queue
+      shared.queue = []
+      queue.forEach(function (fn) {
+        fn()
+      })
+    })
+
+    cb(err)
+  }
+}
+
+// release the snapshot once it has no reads open for its timeout, if given, as
+// copies kept by a forgotten snapshot would grow and slow every later write
+function idleTimer(shared) {
+  clearTimeout(shared.timer)
+  shared.timer = null
+
+  if (shared.released || shared.reading || !isFinite(shared.timeout)) return
+
+  shared.timer = setTimeout(function () {
+    release(shared)
+  }, shared.timeout)
+  shared.timer.unref && shared.timer.unref()
+}
+
+// track a read from start to end, keeping the snapshot from timing out
+function reading(self) {
+  var shared = self.shared
+  var ended = false
+
+  shared.reading++
+  idleTimer(shared)
+
+  return function () {
+    if (ended) return
+    ended = true
+    shared.reading--
+    idleTimer(shared)
+  }
+}
+
+// run fn once writes in flight when the snapshot was taken are done
+function ready(self, fn) {
+  var shared = self.shared
+  if (shared.released) throw new Error('Snapshot has been released')
+
+  if (shared.waiting) shared.queue.push(fn)
+  else fn()
+}
+
+// copy of the value of an encoded key as of the snapshot, if it was overwritten
+function copyOf(self, k) {
+  var copies = self.shared.copies
+  return copies.hasOwnProperty(id(k)) ? copies[id(k)] : null
+}
+
+function decodeValue(self, k, raw, opts) {
+  var ns = self.ns
+  var encoding = opts.valueEncoding || self.space.options.valueEncoding
+  return util.decodeValue(ns, raw, encoding, ns.subkey(k))
+}
+
+Snapshot.prototype.get = function (key, opts, cb) {
+  var self = internals.get(this)
+  var ns = self.ns
+
+  cb = util.getCallback(opts, cb) || util.promiseCallback()
+  opts = util.getOptions(opts)
+
+  var ended = reading(self)
+  var callback = cb
+  cb = function () {
+    ended()
+    callback.apply(null, arguments)
+  }
+
+  try {
+    var k = ns.encode(key, opts)
+
+    ready(self, function () {
+      var o = xtend(RAW, { keyEncoding: ns.keyEncoding })
+      self.shared.source.get(k, o, function (err, raw) {
+        if (err && !err.notFound) return cb(err)
+
+        // check for copies once read, as writes copy values before landing
+        var copy = copyOf(self, k)
+        if (copy) raw = copy.value
+        else if (err) raw = undefined
+
+        if (raw === undefined)
+          return cb(new NotFoundError('Key not found in database [' + key + ']'))
+
+        try {
+          var value = decodeValue(self, k, raw, opts)
+        }
+        catch (err) {
+          return cb(err)
+        }
+
+        cb(null, value)
+      })
+    })
+  }
+  catch (err) {
+    process.nextTick(cb.bind(null, err))
+  }
+
+  return callback.promise
+}
+
+Snapshot.prototype.createReadStream = function (opts) {
+  var self = internals.get(this)
+  var ns = self.ns
+
+  opts = xtend({ keys: true, values: true }, opts)
+
+  var limit = typeof opts.limit === 'number' ? opts.limit : -1
+  var count = 0
+  var done = false
+  var stream = Transform({ objectMode: true })
+  var ended = reading(self)
+  var copies, source
+
+  stream.on('end', ended)
+  stream.on('error', ended)
+  stream.on('close', ended)
+
+  function before(a, b) {
+    return opts.reverse ? compare(a, b) > 0 : compare(a, b) < 0
+  }
+
+  // push a decoded entry, unless it didn't exist as of the snapshot
+  function push(k, raw) {
+    if (done || raw === undefined) return
+
+    var key = opts.keys ? ns.decode(k, opts) : undefined
+    var value = opts.values ? decodeValue(self, k, raw, opts) : undefined
+
+    stream.push(opts.keys && opts.values ? { key: key, value: value } :
+      opts.keys ? key : value)
+
+    if (++count === limit) {
+      done = true
+      stream.push(null)
+      source.destroy && source.destroy()
+    }
+  }
+
+  // merge copies of overwritten values into entries as of the stream's creation
+  stream._transform = function (data, _, cb) {
+    try {
+      while (copies.length && before(copies[0].key, data.key)) {
+        var copy = copies.shift()
+        push(copy.key, copy.value)
+      }
+
+      // values copied later were still current when the stream was created
+      if (copies.length && compare(copies[0].key, data.key) === 0) {
+        copy = copies.shift()
+        push(copy.key, copy.value)
+      }
+      else {
+        push(data.key, data.value)
+      }
+    }
+    catch (err) {
+      return cb(err)
+    }
+
+    cb()
+  }
+
+  stream._flush = function (cb) {
+    try {
+      copies.forEach(function (copy) {
+        push(copy.key, copy.value)
+      })
+    }
+    catch (err) {
+      return cb(err)
+    }
+
+    cb()
+  }
+
+  try {
+    var range = ns.encodeRange(opts)
+
+    ready(self, function () {
+      var shared = self.shared
+
+      copies = Object.keys(shared.copies).map(function (k) {
+        return shared.copies[k]
+      }).filter(function (copy) {
+        return inRange(copy.key, range)
+      }).sort(function (a, b) {
+        return opts.reverse ? compare(b.key, a.key) : compare(a.key, b.key)
+      })
+
+      source = shared.source.createReadStream(xtend(range, RAW, {
+        keys: true,
+        values: true,
+        limit: -1
+      }))
+
+      source.on('error', function (err) {
+        stream.emit('error', err)
+      })
+      source.pipe(stream)
+    })
+  }
+  catch (err) {
+    process.nextTick(stream.emit.bind(stream, 'error', err))
+  }
+
+  return stream
+}
+
+Snapshot.prototype.createKeyStream = function (opts) {
+  return this.createReadStream(xtend(opts, { keys: true, values: false }))
+}
+
+Snapshot.prototype.createValueStream = function (opts) {
+  return this.createReadStream(xtend(opts, { keys: false, values: true }))
+}
+
+// snapshot of a sublevel, sharing this snapshot
+Snapshot.prototype.sublevel = function (name) {
+  var self = internals.get(this)
+  var index = self.sublevels
+  if (index[name]) return index[name]
+  return index[name] = new Snapshot(self.space.sublevel(name), null, null, self.shared)
+}
+
+// stop copying values for the snapshot, and release any db snapshot
+Snapshot.prototype.release = function () {
+  release(internals.get(this).shared)
+}
+
+function release(shared) {
+  if (shared.released) return
+
+  shared.released = true
+  shared.copies = {}
+  idleTimer(shared)
+
+  if (shared.source !== shared.db) {
+    if (typeof shared.source.release === 'function') shared.source.release()
+    return
+  }
+
+  var snapshots = state(shared.db).snapshots
+  snapshots.splice(snapshots.indexOf(shared), 1)
+}
+
+module.exports = Snapshot
@@ -0,0 +1,73 @@
+// adapt an object mode read stream to an async iterator, only reading from the
+// stream as values are requested so backpressure is applied to the source
+function StreamIterator(stream, close) {
+  var self = this
+
+  this._stream = stream
+  this._close = close
+  this._ended = false
+  this._error = null
+
+  // pending reads, in the order `next` was called
+  this._waiting = []
+
+  function notify() {
+    var waiting = self._waiting
+    self._waiting = []
+    waiting.forEach(function (read) {
+      read()
+    })
+  }
+
+  stream.on('readable', notify)
+
+  stream.on('end', function () {
+    self._ended = true
+    notify()
+  })
+
+  stream.on('error', function (err) {
+    self._error = err
+    notify()
+  })
+}
+
+StreamIterator.prototype.next = function () {
+  var self = this
+
+  return new Promise(function (resolve, reject) {
+    ;(function read() {
+      if (self._error) {
+        self.return()
+        return reject(self._error)
+      }
+
+      var data = self._ended ? null : self._stream.read()
+      if (data !== null)
+        return resolve({ value: data, done: false })
+
+      if (self._ended)
+        return resolve({ value: undefined, done: true })
+
+      self._waiting.push(read)
+    })()
+  })
+}
+
+// called on early exit from a `for await` loop to release the source
+StreamIterator.prototype.return = function (value) {
+  if (!this._ended) {
+    this._ended = true
+    this._close()
+  }
+
+  return Promise.resolve({ value: value, done: true })
+}
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  StreamIterator.prototype[Symbol.asyncIterator] = function () {
+    return this
+  }
+}
+
+module.exports = StreamIterator
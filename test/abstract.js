@@ -0,0 +1,73 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var testCommon = require('abstract-leveldown/testCommon')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown), 'root').sublevel('nested').toAbstract()
+}
+
+// run the abstract-leveldown test suites against a subspace store
+;[
+  'get',
+  'put',
+  'del',
+  'put-get-del',
+  'batch',
+  'chained-batch',
+  'iterator',
+  'ranges'
+].forEach(function (suite) {
+  require('abstract-leveldown/abstract/' + suite + '-test')
+    .all(factory, test, testCommon, Buffer.from('bytespace'))
+})
+
+test('toAbstract, wrapped with levelup', function (t) {
+  var space = bytespace(levelup(memdown), 'root').sublevel('nested')
+  var keys = []
+
+  space.post(function (op) {
+    keys.push(op.key.toString())
+  })
+
+  var db = levelup('nested', {
+    db: function () {
+      return space.toAbstract()
+    },
+    valueEncoding: 'json'
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: { a: 1 } },
+    { type: 'put', key: 'b', value: { b: 1 } },
+    { type: 'put', key: 'c', value: { c: 1 } },
+  ], function (err) {
+    t.ifError(err, 'no error')
+    t.same(keys, [ 'a', 'b', 'c' ], 'hooks fired for writes through the store')
+
+    space.get('b', function (err, value) {
+      t.ifError(err, 'no error')
+      t.is(value, '{"b":1}', 'written to subspace')
+
+      db.createReadStream({ gt: 'a', reverse: true }).pipe(list.obj(function (err, data) {
+        t.ifError(err, 'no error')
+        t.same(data, [
+          { key: 'c', value: { c: 1 } },
+          { key: 'b', value: { b: 1 } },
+        ], 'read through the store')
+
+        db.db.clear({ lt: 'c' }, function (err) {
+          t.ifError(err, 'no error')
+
+          space.createKeyStream().pipe(list.obj(function (err, keys) {
+            t.ifError(err, 'no error')
+            t.same(keys, [ 'c' ], 'cleared range')
+            t.end()
+          }))
+        })
+      }))
+    })
+  })
+})
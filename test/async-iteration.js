@@ -0,0 +1,117 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(cb) {
+  var base = levelup(memdown)
+  var db = bytespace(base).sublevel('sub', { valueEncoding: 'json' })
+  var ops = []
+  for (var i = 0; i < 100; i++) {
+    ops.push({ type: 'put', key: 'key' + (100 + i), value: { i: i } })
+  }
+  db.batch(ops, function (err) {
+    cb(err, db, base)
+  })
+}
+
+// collect all values from an async iterator
+function collect(iterator, cb) {
+  var values = []
+  ;(function next() {
+    iterator.next().then(function (result) {
+      if (result.done) return cb(null, values)
+      values.push(result.value)
+      next()
+    }, cb)
+  })()
+}
+
+test('async iteration, entries', function(t){
+  factory(function (err, db) {
+    t.ifError(err, 'no error')
+
+    var iterator = db.entries({ gte: 'key110', lt: 'key113' })
+    t.is(iterator[Symbol.asyncIterator](), iterator, 'async iterable')
+
+    collect(iterator, function (err, entries) {
+      t.ifError(err, 'no error')
+      t.same(entries, [
+        { key: 'key110', value: { i: 10 } },
+        { key: 'key111', value: { i: 11 } },
+        { key: 'key112', value: { i: 12 } },
+      ], 'decoded entries in range')
+      t.end()
+    })
+  })
+})
+
+test('async iteration, keys and values', function(t){
+  factory(function (err, db) {
+    t.ifError(err, 'no error')
+
+    collect(db.keys({ gt: 'key197', reverse: true }), function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ 'key199', 'key198' ], 'keys')
+
+      collect(db.values({ lte: 'key101' }), function (err, values) {
+        t.ifError(err, 'no error')
+        t.same(values, [ { i: 0 }, { i: 1 } ], 'values')
+        t.end()
+      })
+    })
+  })
+})
+
+test('async iteration, concurrent next calls', function(t){
+  factory(function (err, db) {
+    t.ifError(err, 'no error')
+
+    var iterator = db.keys({ lt: 'key103' })
+
+    Promise.all([
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+      iterator.next(),
+    ]).then(function (results) {
+      t.same(results, [
+        { value: 'key100', done: false },
+        { value: 'key101', done: false },
+        { value: 'key102', done: false },
+        { value: undefined, done: true },
+      ], 'every pending call settled in order')
+    }).then(t.end, t.end)
+  })
+})
+
+test('async iteration, early return', function(t){
+  factory(function (err, db, base) {
+    t.ifError(err, 'no error')
+
+    var destroyed = false
+    var createReadStream = base.createReadStream
+    base.createReadStream = function () {
+      var source = createReadStream.apply(this, arguments)
+      var destroy = source.destroy
+      source.destroy = function () {
+        destroyed = true
+        return destroy.apply(this, arguments)
+      }
+      return source
+    }
+
+    var iterator = db.keys()
+
+    iterator.next().then(function (result) {
+      t.same(result, { value: 'key100', done: false }, 'first key')
+      return iterator.return()
+    }).then(function (result) {
+      t.same(result, { value: undefined, done: true }, 'iterator returned')
+      t.ok(destroyed, 'source stream destroyed')
+      return iterator.next()
+    }).then(function (result) {
+      t.is(result.done, true, 'no more values after return')
+    }).then(t.end, t.end)
+  })
+})
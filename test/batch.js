@@ -0,0 +1,68 @@
+var bytewise = require('bytewise-core')
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown), 'root')
+}
+
+test('chained batch, per-op options', function(t){
+  var db = factory()
+  var sub = db.sublevel('sub', { valueEncoding: 'json' })
+  var batch = db.batch()
+
+  t.is(batch.length, 0, 'empty batch')
+
+  batch
+    .put('a', { a: 1 }, { valueEncoding: 'json' })
+    .put([ 'b', 1 ], 'b', { keyEncoding: bytewise })
+    .put('c', { c: 1 }, { prefix: sub })
+    .put('d', 'd')
+    .del('d', { prefix: sub })
+
+  t.is(batch.length, 5, 'length counts ops')
+
+  batch.write().then(function () {
+    return Promise.all([
+      db.get('a', { valueEncoding: 'json' }),
+      db.get([ 'b', 1 ], { keyEncoding: bytewise }),
+      sub.get('c'),
+      db.get('d')
+    ])
+  }).then(function (values) {
+    t.same(values, [ { a: 1 }, 'b', { c: 1 }, 'd' ], 'per-op options applied')
+
+    batch.clear()
+    t.is(batch.length, 0, 'cleared batch')
+  }).then(t.end, t.end)
+})
+
+test('chained batch, write options', function(t){
+  var db = factory()
+  var calls = []
+
+  db.pre(function (op) {
+    calls.push(op.key)
+  })
+
+  db.batch()
+    .put('a', { a: 1 })
+    .put('b', 'b', { valueEncoding: 'utf8' })
+    .write({ valueEncoding: 'json' }, function (err) {
+      t.ifError(err, 'no error')
+      t.same(calls, [ 'a', 'b' ], 'hooks fired')
+
+      db.get('a', { valueEncoding: 'json' }, function (err, value) {
+        t.ifError(err, 'no error')
+        t.same(value, { a: 1 }, 'write options applied')
+
+        db.get('b', function (err, value) {
+          t.ifError(err, 'no error')
+          t.is(value, 'b', 'op options take precedence')
+          t.end()
+        })
+      })
+    })
+})
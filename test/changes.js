@@ -0,0 +1,161 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown), 'root', { valueEncoding: 'json' })
+}
+
+// collect changes from a stream until count have been received
+function collect(stream, count, cb) {
+  var changes = []
+  stream.on('data', function (data) {
+    changes.push(data)
+    if (changes.length === count) {
+      stream.destroy()
+      cb(changes)
+    }
+  })
+}
+
+test('change stream, live', function (t) {
+  var db = factory()
+  var nested = db.sublevel('nested')
+
+  collect(db.createChangeStream({ gte: 'b' }), 3, function (changes) {
+    t.same(changes, [
+      { type: 'put', key: 'b', value: { b: 1 } },
+      { type: 'put', key: 'c', value: { c: 1 } },
+      { type: 'del', key: 'b' },
+    ], 'decoded changes in range')
+
+    db.put('d', 1, function (err) {
+      t.ifError(err, 'no error')
+      t.is(db.namespace.posthooks.length, 0, 'hooks removed on destroy')
+      t.end()
+    })
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: { a: 1 } },
+    { type: 'put', key: 'b', value: { b: 1 } },
+    { type: 'put', key: 'b', value: { b: 1 }, prefix: nested },
+    { type: 'put', key: 'c', value: { c: 1 } },
+  ], function (err) {
+    t.ifError(err, 'no error')
+    db.del('b')
+  })
+})
+
+test('change stream, old and recursive', function (t) {
+  var db = factory()
+  var nested = db.sublevel('nested')
+  var deeper = nested.sublevel('deeper')
+
+  db.batch([
+    { type: 'put', key: 'a', value: 1 },
+    { type: 'put', key: 'x', value: 2, prefix: deeper },
+  ], function (err) {
+    t.ifError(err, 'no error')
+
+    collect(db.createChangeStream({ old: true, recursive: true }), 5, function (changes) {
+      t.same(changes, [
+        { type: 'put', key: 'a', value: 1, path: [] },
+        { type: 'put', key: 'x', value: 2, path: [ 'nested', 'deeper' ] },
+        { type: 'put', key: 'b', value: 3, path: [] },
+        { type: 'put', key: 'y', value: 4, path: [ 'nested' ] },
+        { type: 'del', key: 'x', path: [ 'nested', 'deeper' ] },
+      ], 'existing entries followed by changes')
+
+      t.is(db.namespace.nestedhooks.length, 0, 'nested hooks removed on destroy')
+      t.end()
+    })
+
+    // written while existing entries are still being read
+    db.batch([
+      { type: 'put', key: 'b', value: 3 },
+      { type: 'put', key: 'y', value: 4, prefix: nested },
+      { type: 'del', key: 'x', prefix: deeper },
+    ])
+  })
+})
+
+test('change stream, old entries decoded with sublevel encodings', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root', { valueEncoding: 'json' })
+  var text = db.sublevel('text', { valueEncoding: 'utf8' })
+  var lines = text.sublevel('lines')
+
+  db.batch([
+    { type: 'put', key: 'a', value: { a: 1 } },
+    { type: 'put', key: 'b', value: 'plain text line', prefix: text },
+    { type: 'put', key: 'c', value: 'nested line', prefix: lines },
+    { type: 'put', key: 'd', value: { d: 1 }, prefix: db.sublevel('json') },
+  ], function (err) {
+    t.ifError(err, 'no error')
+
+    collect(db.createChangeStream({ old: true, recursive: true }), 4, function (changes) {
+      t.same(changes, [
+        { type: 'put', key: 'a', value: { a: 1 }, path: [] },
+        { type: 'put', key: 'd', value: { d: 1 }, path: [ 'json' ] },
+        { type: 'put', key: 'b', value: 'plain text line', path: [ 'text' ] },
+        { type: 'put', key: 'c', value: 'nested line', path: [ 'text', 'lines' ] },
+      ], 'nested entries decoded with their own encodings')
+
+      t.end()
+    })
+  })
+})
+
+test('change stream, old entries of unmounted sublevels', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root', { valueEncoding: 'json' })
+
+  db.sublevel('nested').put('a', { a: 1 }, function (err) {
+    t.ifError(err, 'no error')
+
+    // read with the options unmounted sublevels would inherit
+    var other = bytespace(base, 'root', { valueEncoding: 'json' })
+    collect(other.createChangeStream({ old: true, recursive: true }), 1, function (changes) {
+      t.same(changes, [
+        { type: 'put', key: 'a', value: { a: 1 }, path: [ 'nested' ] },
+      ], 'decoded with inherited encodings')
+      t.end()
+    })
+  })
+})
+
+test('change stream, old entries failing to decode', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root', { valueEncoding: 'utf8' })
+
+  db.sublevel('text').put('a', 'plain text line', function (err) {
+    t.ifError(err, 'no error')
+
+    var json = bytespace(base, 'root', { valueEncoding: 'json' })
+    json.createChangeStream({ old: true, recursive: true }).on('error', function (err) {
+      t.ok(err, 'decoding error emitted on stream')
+      t.end()
+    })
+  })
+})
+
+test('change stream, source errors', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root')
+  var createReadStream = base.createReadStream
+
+  base.createReadStream = function () {
+    var source = createReadStream.apply(this, arguments)
+    process.nextTick(function () {
+      source.emit('error', new Error('read failed'))
+    })
+    return source
+  }
+
+  db.createChangeStream({ old: true, recursive: true }).on('error', function (err) {
+    t.is(err.message, 'read failed', 'source error forwarded')
+    t.end()
+  })
+})
@@ -0,0 +1,141 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(hexNamespace) {
+  return bytespace(levelup(memdown), 'root', { hexNamespace: hexNamespace })
+}
+
+// populate root, a sublevel and a nested sublevel with some keys
+function populate(db, cb) {
+  var sub = db.sublevel('sub')
+  var nested = sub.sublevel('nested')
+  var ops = []
+
+  ;[ db, sub, nested ].forEach(function (prefix) {
+    for (var i = 0; i < 25; i++) {
+      ops.push({ type: 'put', key: 'key' + (10 + i), value: 'v', prefix: prefix })
+    }
+  })
+
+  db.batch(ops, function (err) {
+    cb(err, sub, nested)
+  })
+}
+
+function keys(db, cb) {
+  db.createKeyStream().pipe(list.obj(cb))
+}
+
+;[ false, true ].forEach(function (hexNamespace) {
+  var mode = hexNamespace ? 'hex' : 'buffer'
+
+  test('clear, range with hooks, ' + mode, function (t) {
+    var db = factory(hexNamespace)
+
+    populate(db, function (err, sub, nested) {
+      t.ifError(err, 'no error')
+
+      var pre = []
+      var post = []
+      sub.pre(function (op) {
+        t.is(op.type, 'del', 'del op')
+        pre.push(op.key)
+      })
+      sub.post(function (op) {
+        post.push(op.key)
+      })
+
+      sub.clear({ gte: 'key15', lt: 'key30', batchSize: 4 }, function (err) {
+        t.ifError(err, 'no error')
+        t.is(pre.length, 15, 'prehook fired for every key')
+        t.same(post, pre, 'posthook fired for every key')
+
+        keys(sub, function (err, remaining) {
+          t.ifError(err, 'no error')
+          t.same(remaining, [
+            'key10', 'key11', 'key12', 'key13', 'key14',
+            'key30', 'key31', 'key32', 'key33', 'key34'
+          ], 'keys outside range remain')
+
+          keys(nested, function (err, remaining) {
+            t.ifError(err, 'no error')
+            t.is(remaining.length, 25, 'nested keys untouched')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+
+  test('clear, recursive, ' + mode, function (t) {
+    var base = levelup(memdown)
+    var db = bytespace(base, 'root', { hexNamespace: hexNamespace })
+    var sibling = bytespace(base, 'rooted', { hexNamespace: hexNamespace })
+
+    sibling.put('a', 'a', function (err) {
+      t.ifError(err, 'no error')
+
+      populate(db, function (err, sub, nested) {
+        t.ifError(err, 'no error')
+
+        // mount an unmounted subspace through a fresh root
+        var fresh = bytespace(base, 'root', { hexNamespace: hexNamespace })
+        var deleted = []
+        nested.pre(function (op) {
+          deleted.push(op.key)
+        })
+
+        fresh.sublevel('sub').clear({ recursive: true }).then(function () {
+          t.is(deleted.length, 0, 'hooks of unmounted instances not fired')
+
+          keys(nested, function (err, remaining) {
+            t.ifError(err, 'no error')
+            t.same(remaining, [], 'unmounted nested subspace cleared')
+
+            db.clear({ recursive: true }, function (err) {
+              t.ifError(err, 'no error')
+
+              keys(db, function (err, remaining) {
+                t.ifError(err, 'no error')
+                t.same(remaining, [], 'root cleared')
+
+                keys(sibling, function (err, remaining) {
+                  t.ifError(err, 'no error')
+                  t.same(remaining, [ 'a' ], 'sibling namespace untouched')
+                  t.end()
+                })
+              })
+            })
+          })
+        }, t.end)
+      })
+    })
+  })
+
+  test('clear, recursive with mounted hooks, ' + mode, function (t) {
+    var db = factory(hexNamespace)
+
+    populate(db, function (err, sub, nested) {
+      t.ifError(err, 'no error')
+
+      var deleted = []
+      nested.pre(function (op) {
+        deleted.push(op.key)
+      })
+
+      db.clear({ recursive: true, batchSize: 10 }, function (err) {
+        t.ifError(err, 'no error')
+        t.is(deleted.length, 25, 'nested prehook fired for every key')
+
+        keys(sub, function (err, remaining) {
+          t.ifError(err, 'no error')
+          t.same(remaining, [], 'sublevel cleared')
+          t.end()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,120 @@
+var crypto = require('crypto')
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+var doc = { text: new Array(200).join('compressible ') }
+
+// magic prefix and marker byte of compressed values
+var MARKED = {
+  raw: Buffer.from('ff62737a00', 'hex'),
+  deflate: Buffer.from('ff62737a01', 'hex'),
+  brotli: Buffer.from('ff62737a02', 'hex')
+}
+
+// raw stored values of a base db
+function stored(base, cb) {
+  base.createValueStream({ valueEncoding: 'binary' }).pipe(list.obj(cb))
+}
+
+test('compression, threshold and marker byte', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'docs', {
+    valueEncoding: 'json',
+    compression: { type: 'deflate', threshold: 100 }
+  })
+
+  db.batch([
+    { type: 'put', key: 'large', value: doc },
+    { type: 'put', key: 'small', value: { text: 'short' } },
+  ]).then(function () {
+    stored(base, function (err, values) {
+      t.ifError(err, 'no error')
+      t.same(values[0].slice(0, 5), MARKED.deflate, 'large value marked as deflated')
+      t.ok(values[0].length < JSON.stringify(doc).length / 4, 'large value compressed')
+      t.is(values[1].toString(), '{"text":"short"}', 'small value stored raw')
+
+      db.getMany([ 'large', 'small' ]).then(function (values) {
+        t.same(values, [ doc, { text: 'short' } ], 'decompressed values')
+
+        db.createReadStream().pipe(list.obj(function (err, data) {
+          t.ifError(err, 'no error')
+          t.same(data[0], { key: 'large', value: doc }, 'decompressed read stream')
+          t.end()
+        }))
+      }).catch(t.end)
+    })
+  }).catch(t.end)
+})
+
+test('compression, types coexist and inherited by sublevels', function (t) {
+  var base = levelup(memdown)
+  var deflated = bytespace(base, 'docs', { valueEncoding: 'json', compression: {} })
+  var db = bytespace(base, 'docs', { valueEncoding: 'json', compression: 'brotli' })
+  var nested = db.sublevel('nested')
+
+  deflated.put('a', doc).then(function () {
+    return db.batch([
+      { type: 'put', key: 'b', value: doc },
+      { type: 'put', key: 'c', value: doc, prefix: nested },
+    ])
+  }).then(function () {
+    stored(base, function (err, values) {
+      t.ifError(err, 'no error')
+      t.same(values.map(function (value) {
+        return value.slice(0, 5)
+      }), [ MARKED.deflate, MARKED.brotli, MARKED.brotli ], 'deflate and brotli markers')
+
+      db.getMany([ 'a', 'b', { key: 'c', prefix: nested } ]).then(function (values) {
+        t.same(values, [ doc, doc, doc ], 'read regardless of compression type')
+        t.throws(function () {
+          bytespace(base, 'docs', { compression: 'lz4' })
+        }, 'unsupported compression type')
+      }).then(t.end, t.end)
+    })
+  }).catch(t.end)
+})
+
+test('compression, with encryption', function (t) {
+  var db = bytespace(levelup(memdown), 'docs', {
+    valueEncoding: 'json',
+    compression: { threshold: 0 },
+    encryption: { keys: { k1: crypto.randomBytes(32) }, keyId: 'k1' }
+  })
+
+  db.put('a', doc).then(function () {
+    return db.get('a')
+  }).then(function (value) {
+    t.same(value, doc, 'decrypted and decompressed')
+  }).then(t.end, t.end)
+})
+
+test('compression, values stored before compression was enabled', function (t) {
+  var base = levelup(memdown)
+  var plain = bytespace(base, 'docs', { valueEncoding: 'json' })
+  var blobs = bytespace(base, 'blobs', { valueEncoding: 'binary' })
+  var db = bytespace(base, 'docs', { valueEncoding: 'json', compression: {} })
+  var compressedBlobs = bytespace(base, 'blobs', { valueEncoding: 'binary', compression: {} })
+  var lookalike = Buffer.concat([ MARKED.deflate, Buffer.from('not deflated') ])
+
+  plain.put('a', { big: 1 }).then(function () {
+    return blobs.put('b', Buffer.from([ 0, 1, 2 ]))
+  }).then(function () {
+    return compressedBlobs.put('c', lookalike)
+  }).then(function () {
+    return db.get('a')
+  }).then(function (value) {
+    t.same(value, { big: 1 }, 'unmarked json value')
+    return compressedBlobs.getMany([ 'b', 'c' ])
+  }).then(function (values) {
+    t.same(values, [ Buffer.from([ 0, 1, 2 ]), lookalike ], 'unmarked and lookalike binary values')
+
+    stored(base, function (err, values) {
+      t.ifError(err, 'no error')
+      t.same(values[1].slice(0, 5), MARKED.raw, 'lookalike value marked as raw')
+      t.end()
+    })
+  }).catch(t.end)
+})
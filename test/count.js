@@ -0,0 +1,87 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(cb) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root')
+  var nested = db.sublevel('nested')
+  var ops = []
+
+  for (var i = 0; i < 10; i++) {
+    ops.push({ type: 'put', key: 'key' + i, value: 'value' })
+    ops.push({ type: 'put', key: 'key' + i, value: 'value', prefix: nested })
+  }
+
+  db.batch(ops, function (err) {
+    cb(err, base, db, nested)
+  })
+}
+
+test('count', function (t) {
+  factory(function (err, base, db, nested) {
+    t.ifError(err, 'no error')
+
+    db.count(function (err, count) {
+      t.ifError(err, 'no error')
+      t.is(count, 10, 'counted own keys')
+
+      db.count({ gte: 'key3', lt: 'key6' }).then(function (count) {
+        t.is(count, 3, 'counted range')
+        return db.count({ recursive: true })
+      }).then(function (count) {
+        t.is(count, 20, 'counted nested keys')
+        return nested.count({ recursive: true })
+      }).then(function (count) {
+        t.is(count, 10, 'no keys nested below')
+      }).then(t.end, t.end)
+    })
+  })
+})
+
+test('approximateSize, native', function (t) {
+  factory(function (err, base, db, nested) {
+    t.ifError(err, 'no error')
+
+    var ranges = []
+    base.db._approximateSize = function (start, end, cb) {
+      ranges.push([ start, end ])
+      setImmediate(cb.bind(null, null, 100))
+    }
+
+    db.approximateSize({ gte: 'a', lt: 'b', recursive: true }, function (err, size) {
+      t.ifError(err, 'no error')
+      t.is(size, 200, 'summed sizes')
+      t.same(ranges[0], [ db.namespace.encode('a'), db.namespace.encode('b') ], 'encoded range')
+      t.same(ranges[1], [
+        db.namespace.encodeNestedRange().gte,
+        db.namespace.encodeNestedRange().lt
+      ], 'nested range')
+      t.end()
+    })
+  })
+})
+
+test('approximateSize, key scan fallback', function (t) {
+  factory(function (err, base, db, nested) {
+    t.ifError(err, 'no error')
+
+    // memdown has no `_approximateSize`, so levelup's (deprecated) one
+    // would estimate 0
+    var calls = 0
+    var approximateSize = base.approximateSize
+    base.approximateSize = function () {
+      calls++
+      return approximateSize.apply(this, arguments)
+    }
+
+    nested.approximateSize({ lt: 'key2' }, function (err, size) {
+      t.ifError(err, 'no error')
+      var keySize = nested.namespace.encode('key0').length
+      t.is(size, 2 * (keySize + 'value'.length), 'summed entry sizes')
+      t.is(calls, 0, 'no estimate from levelup')
+      t.end()
+    })
+  })
+})
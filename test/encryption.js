@@ -0,0 +1,188 @@
+var crypto = require('crypto')
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+var keys = {
+  k1: crypto.randomBytes(32),
+  k2: crypto.randomBytes(16)
+}
+
+test('encryption, values encrypted at rest', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'pii', {
+    valueEncoding: 'json',
+    encryption: { keys: keys, keyId: 'k1' }
+  })
+  var nested = db.sublevel('nested')
+
+  db.batch([
+    { type: 'put', key: 'a', value: { ssn: '123-45-6789' } },
+    { type: 'put', key: 'b', value: 'raw', valueEncoding: 'utf8' },
+    { type: 'put', key: 'c', value: { ssn: '987-65-4321' }, prefix: nested },
+  ]).then(function () {
+    return db.get('a')
+  }).then(function (value) {
+    t.same(value, { ssn: '123-45-6789' }, 'decrypted value')
+    return db.getMany([ 'a', { key: 'c', prefix: nested } ])
+  }).then(function (values) {
+    t.same(values, [ { ssn: '123-45-6789' }, { ssn: '987-65-4321' } ], 'decrypted values')
+    return db.get('b', { valueEncoding: 'utf8' })
+  }).then(function (value) {
+    t.is(value, 'raw', 'decrypted with per-op encoding')
+
+    base.createValueStream({ valueEncoding: 'binary' }).pipe(list.obj(function (err, values) {
+      t.ifError(err, 'no error')
+      t.is(values.length, 3, 'all values stored')
+      values.forEach(function (value) {
+        t.notOk(/\d{3}-\d{2}-\d{4}|raw/.test(value.toString('latin1')), 'no plaintext stored')
+      })
+
+      db.createReadStream({ lt: 'b' }).pipe(list.obj(function (err, data) {
+        t.ifError(err, 'no error')
+        t.same(data, [ { key: 'a', value: { ssn: '123-45-6789' } } ], 'decrypted read stream')
+        t.end()
+      }))
+    }))
+  }).catch(t.end)
+})
+
+test('encryption, key rotation and reencrypt', function (t) {
+  var base = levelup(memdown)
+  var old = bytespace(base, 'pii', { encryption: { keys: keys, keyId: 'k1' } })
+  var db = bytespace(base, 'pii', { encryption: { keys: keys, keyId: 'k2' } })
+  var tampered = bytespace(base, 'pii', { encryption: { keys: { k1: keys.k2 }, keyId: 'k1' } })
+
+  old.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' },
+  ]).then(function () {
+    return db.put('c', 'c')
+  }).then(function () {
+    return db.getMany([ 'a', 'b', 'c' ])
+  }).then(function (values) {
+    t.same(values, [ 'a', 'b', 'c' ], 'values readable under any known key id')
+
+    return tampered.get('a').then(function () {
+      t.fail('should not decrypt')
+    }, function (err) {
+      t.ok(err, 'wrong key fails authentication')
+      return db.reencrypt({ batchSize: 1 })
+    })
+  }).then(function (count) {
+    t.is(count, 2, 'rewrote values under old key')
+    return db.reencrypt()
+  }).then(function (count) {
+    t.is(count, 0, 'nothing left to rewrite')
+
+    var current = bytespace(base, 'pii', { encryption: { keys: { k2: keys.k2 }, keyId: 'k2' } })
+    return current.getMany([ 'a', 'b', 'c' ])
+  }).then(function (values) {
+    t.same(values, [ 'a', 'b', 'c' ], 'readable without old key')
+    t.throws(function () {
+      bytespace(base, 'pii', { encryption: { keys: keys, keyId: 'k3' } })
+    }, 'current key id required')
+  }).then(t.end, t.end)
+})
+
+test('encryption, values bound to their keys', function (t) {
+  var base = levelup(memdown)
+  var options = { valueEncoding: 'json', encryption: { keys: keys, keyId: 'k1' } }
+  var db = bytespace(base, 'pii', options)
+  var raw = bytespace(base, 'pii', { valueEncoding: 'binary' })
+
+  db.batch([
+    { type: 'put', key: 'a', value: { n: 1 } },
+    { type: 'put', key: 'b', value: { n: 2 } },
+    { type: 'put', key: 'c', value: { n: 3 }, prefix: db.sublevel('nested') },
+  ]).then(function () {
+    db.createChangeStream({ old: true, recursive: true }).on('data', function (data) {
+      if (data.path.length) {
+        t.same(data, { type: 'put', key: 'c', value: { n: 3 }, path: [ 'nested' ] },
+          'nested value decrypted')
+        this.destroy()
+        next()
+      }
+    })
+  }).catch(t.end)
+
+  function next() {
+    raw.getMany([ 'a', 'b' ]).then(function (values) {
+      return raw.batch([
+        { type: 'put', key: 'a', value: values[1] },
+        { type: 'put', key: 'b', value: values[0] },
+      ])
+    }).then(function () {
+      return db.get('a')
+    }).then(function () {
+      t.fail('should not decrypt')
+    }, function (err) {
+      t.ok(err, 'value moved to another key fails authentication')
+      return db.put('a', { n: 1 })
+    }).then(function () {
+      return db.moveTo('moved')
+    }).then(function () {
+      return bytespace(base, 'moved', options).get('a')
+    }).then(function (value) {
+      t.same(value, { n: 1 }, 'moved subspace readable')
+    }).then(t.end, t.end)
+  }
+})
+
+test('encryption, reencrypt values stored before encryption was enabled', function (t) {
+  var base = levelup(memdown)
+  var plain = bytespace(base, 'pii', { valueEncoding: 'json' })
+  var db = bytespace(base, 'pii', { valueEncoding: 'json', encryption: { keys: keys, keyId: 'k1' } })
+  var raw = bytespace(base, 'pii', { valueEncoding: 'binary' })
+
+  plain.put('a', { n: 1 }).then(function () {
+    return db.get('a')
+  }).then(function () {
+    t.fail('should not read')
+  }, function (err) {
+    t.ok(/not encrypted/.test(err.message), 'plaintext value not read')
+    return db.reencrypt()
+  }).then(function (count) {
+    t.is(count, 1, 'plaintext value encrypted')
+    return raw.get('a')
+  }).then(function (value) {
+    t.is(value.toString().indexOf('"n"'), -1, 'value encrypted at rest')
+    return db.get('a')
+  }).then(function (value) {
+    t.same(value, { n: 1 }, 'encrypted value readable')
+    return db.reencrypt()
+  }).then(function (count) {
+    t.is(count, 0, 'encrypted value left as is')
+  }).then(t.end, t.end)
+})
+
+test('encryption, reencrypt keeps concurrent writes', function (t) {
+  var base = levelup(memdown)
+  var old = bytespace(base, 'pii', { encryption: { keys: keys, keyId: 'k1' } })
+  var db = bytespace(base, 'pii', { encryption: { keys: keys, keyId: 'k2' } })
+
+  old.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' },
+  ]).then(function () {
+    // write while reencrypt reads the values it will rewrite
+    var createReadStream = base.createReadStream
+    base.createReadStream = function () {
+      base.createReadStream = createReadStream
+      var stream = createReadStream.apply(base, arguments)
+      written = db.put('a', 'new')
+      return stream
+    }
+
+    var written
+    return db.reencrypt().then(function () {
+      return written
+    })
+  }).then(function () {
+    return db.getMany([ 'a', 'b' ])
+  }).then(function (values) {
+    t.same(values, [ 'new', 'b' ], 'concurrent write kept')
+  }).then(t.end, t.end)
+})
@@ -0,0 +1,109 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function record(space, events) {
+  space.on('put', function () {
+    events.push([ 'put' ].concat([].slice.call(arguments)))
+  })
+  space.on('del', function () {
+    events.push([ 'del' ].concat([].slice.call(arguments)))
+  })
+  space.on('batch', function () {
+    events.push([ 'batch' ].concat([].slice.call(arguments)))
+  })
+  return events
+}
+
+test('events, put, del and batch', function (t) {
+  var db = bytespace(levelup(memdown), 'root', { valueEncoding: 'json' })
+  var nested = db.sublevel('nested')
+  var events = record(db, [])
+  var nestedEvents = record(nested, [])
+  var viewEvents = record(db.readOnly(), [])
+
+  db.put('a', { a: 1 }, function (err) {
+    t.ifError(err, 'no error')
+    t.same(events, [ [ 'put', 'a', { a: 1 } ] ], 'put event with decoded key and value')
+
+    db.del('a').then(function () {
+      t.same(events[1], [ 'del', 'a' ], 'del event')
+
+      return db.batch([
+        { type: 'put', key: 'b', value: 2 },
+        { type: 'put', key: 'c', value: 3, prefix: nested },
+        { type: 'del', key: 'd' },
+      ])
+    }).then(function () {
+      t.same(events[2], [ 'batch', [
+        { type: 'put', key: 'b', value: 2 },
+        { type: 'del', key: 'd' },
+      ] ], 'batch event with ops for subspace')
+      t.is(events.length, 3, 'no events for nested ops without bubbling')
+      t.same(nestedEvents, [
+        [ 'batch', [ { type: 'put', key: 'c', value: 3 } ] ],
+      ], 'batch event on nested subspace')
+      t.same(viewEvents, events, 'events forwarded by read-only view')
+
+      db.pre(function (op, add, ops, cb) {
+        cb(new Error('rejected'))
+      })
+
+      return db.put('e', 5).then(function () {
+        t.fail('should fail')
+      }, function () {
+        t.is(events.length, 3, 'no event for failed write')
+      })
+    }).then(t.end, t.end)
+  })
+})
+
+test('events, hooks', function (t) {
+  var db = bytespace(levelup(memdown), 'root')
+  var log = db.sublevel('log')
+  var events = record(db, [])
+  var logEvents = record(log, [])
+
+  db.pre(function (op, add) {
+    add({ type: 'put', key: op.key, value: op.type, prefix: log })
+  })
+
+  db.put('a', '1', function (err) {
+    t.ifError(err, 'no error')
+    t.same(events, [ [ 'put', 'a', '1' ] ], 'put event for written key')
+    t.same(logEvents, [
+      [ 'batch', [ { type: 'put', key: 'a', value: 'put' } ] ],
+    ], 'batch event for ops added by hooks')
+    t.end()
+  })
+})
+
+test('events, bubbled to ancestors', function (t) {
+  var db = bytespace(levelup(memdown), 'root', { bubbleEvents: true })
+  var a = db.sublevel('a')
+  var b = a.sublevel('b')
+  var events = record(db, [])
+  var aEvents = record(a, [])
+
+  b.put('x', '1').then(function () {
+    return a.del('y')
+  }).then(function () {
+    return db.batch([
+      { type: 'put', key: 'z', value: '2', prefix: b },
+      { type: 'put', key: 'z', value: '3' },
+    ])
+  }).then(function () {
+    t.same(events, [
+      [ 'put', 'x', '1', [ 'a', 'b' ] ],
+      [ 'del', 'y', [ 'a' ] ],
+      [ 'batch', [ { type: 'put', key: 'z', value: '2' } ], [ 'a', 'b' ] ],
+      [ 'batch', [ { type: 'put', key: 'z', value: '3' } ] ],
+    ], 'events bubbled with relative paths')
+    t.same(aEvents, [
+      [ 'put', 'x', '1', [ 'b' ] ],
+      [ 'del', 'y' ],
+      [ 'batch', [ { type: 'put', key: 'z', value: '2' } ], [ 'b' ] ],
+    ], 'events bubbled from nested subspace')
+  }).then(t.end, t.end)
+})
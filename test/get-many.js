@@ -0,0 +1,62 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(cb) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root')
+  var sub = db.sublevel('sub', { valueEncoding: 'json' })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' },
+    { type: 'put', key: 'a', value: { a: 1 }, prefix: sub },
+  ], function (err) {
+    cb(err, base, db, sub)
+  })
+}
+
+test('getMany', function (t) {
+  factory(function (err, base, db, sub) {
+    t.ifError(err, 'no error')
+
+    db.getMany([ 'b', 'missing', { prefix: sub, key: 'a' }, 'a' ], function (err, values) {
+      t.ifError(err, 'no error')
+      t.same(values, [ 'b', undefined, { a: 1 }, 'a' ], 'values in input order')
+
+      sub.getMany([ 'a', { prefix: db, key: 'a' } ]).then(function (values) {
+        t.same(values, [ { a: 1 }, 'a' ], 'values from sibling subspace')
+        return db.getMany([])
+      }).then(function (values) {
+        t.same(values, [], 'no keys')
+      }).then(t.end, t.end)
+    })
+  })
+})
+
+test('getMany, native multi-get', function (t) {
+  factory(function (err, base, db, sub) {
+    t.ifError(err, 'no error')
+
+    var calls = 0
+    base.getMany = function (keys, opts, cb) {
+      calls++
+      var values = []
+      var pending = keys.length
+      keys.forEach(function (key, i) {
+        base.get(key, opts, function (err, value) {
+          values[i] = value
+          if (!--pending) cb(null, values)
+        })
+      })
+    }
+
+    db.getMany([ 'a', { prefix: sub, key: 'a' }, 'b' ], function (err, values) {
+      t.ifError(err, 'no error')
+      t.same(values, [ 'a', { a: 1 }, 'b' ], 'values in input order')
+      t.is(calls, 2, 'one native call per subspace')
+      t.end()
+    })
+  })
+})
@@ -126,12 +126,12 @@ function run(dbFactory, hexNamespace, t) {
   }
 
   function hex(key) {
-    return Buffer(key).toString('hex')
+    return Buffer.from(key).toString('hex')
   }
 
   function encodeNs(ns, key) {
     if (typeof key === 'string')
-      key = Buffer(key)
+      key = Buffer.from(key)
 
     return Buffer.concat([ encode(ns), key ])
   }
@@ -924,6 +924,36 @@ function run(dbFactory, hexNamespace, t) {
   }))
 
 
+  t.test('custom keyEncoding on read streams', dbWrap(function (t, base) {
+    var db = subspace(base, 'test space')
+    var opts = { keyEncoding: bytewise }
+
+    db.batch([
+      { type: 'put', key: [ '.foo', 0 ], value: 'bar0' },
+      { type: 'put', key: [ '.foo', 1 ], value: 'bar1' },
+      { type: 'put', key: [ '.foo', 2 ], value: 'bar2' },
+      { type: 'put', key: [ '.bar', 0 ], value: 'foo0' },
+    ], opts, function (err) {
+      t.ifError(err, 'no error')
+
+      var range = xtend(opts, { gt: [ '.foo', 0 ], lt: [ '.foo', undefined ] })
+      readStreamToList(db.createReadStream(range), function (err, data) {
+        t.ifError(err, 'no error')
+        t.deepEqual(data, [
+          [ [ '.foo', 1 ], 'bar1' ],
+          [ [ '.foo', 2 ], 'bar2' ],
+        ], 'range bounds encoded and keys decoded with keyEncoding')
+
+        db.createKeyStream(xtend(opts, { lte: [ '.bar', 0 ] })).pipe(list.obj(function (err, keys) {
+          t.ifError(err, 'no error')
+          t.deepEqual(keys, [ [ '.bar', 0 ] ], 'key stream')
+          t.end()
+        }))
+      })
+    })
+  }))
+
+
   function readStreamTest(options) {
     t.test('test readStream with ' + inspect(options), function (t) {
       var base = dbFactory(DB_PATH)
@@ -1241,14 +1271,18 @@ function run(dbFactory, hexNamespace, t) {
 
   }))
 
-  t.test('precommit hooks, noop range argument', dbWrap(function (t, base) {
+  t.test('precommit hooks, prefix and unbounded range arguments', dbWrap(function (t, base) {
     var db = subspace(base, 'test space 1', { valueEncoding: 'json' })
 
-    db.pre('this argument is ignored', function (op, add, ops) {
+    db.pre('fo', function (op, add, ops) {
       op.value*= 2
     })
 
-    db.pre({ and: 'this too' }, function (op, add, ops) {
+    db.pre('bar', function (op, add, ops) {
+      op.value*= 10
+    })
+
+    db.pre({ no: 'bounds' }, function (op, add, ops) {
       op.key = op.key.toUpperCase()
     })
 
@@ -1266,4 +1300,142 @@ function run(dbFactory, hexNamespace, t) {
       })
     })
   }))
+
+  t.test('pre and post hooks, range argument', dbWrap(function (t, base) {
+    var db = subspace(base, 'test space 1')
+    var nested = db.sublevel('nested')
+    var pre = []
+    var post = []
+
+    db.pre({ gte: 'b', lt: 'd' }, function (op, add, ops) {
+      pre.push(op.key)
+    })
+
+    db.post({ gt: 'b', lte: 'd' }, function (op) {
+      post.push(op.key)
+    })
+
+    var remove = db.pre({ start: 'a', end: 'c' }, function (op, add, ops) {
+      op.value = op.value.toUpperCase()
+    })
+
+    db.batch([
+      { type: 'put', key: 'a', value: 'a' },
+      { type: 'put', key: 'b', value: 'b' },
+      { type: 'put', key: 'c', value: 'c' },
+      { type: 'put', key: 'd', value: 'd' },
+      { type: 'put', key: 'e', value: 'e' },
+      { type: 'put', key: 'c', value: 'c', prefix: nested },
+    ], function (err) {
+      t.ifError(err, 'no error')
+      t.deepEqual(pre, [ 'b', 'c' ], 'prehook fired for keys in range')
+      t.deepEqual(post, [ 'c', 'd' ], 'posthook fired for keys in range')
+
+      remove()
+
+      db.put('b', 'b', function (err) {
+        t.ifError(err, 'no error')
+        t.deepEqual(pre, [ 'b', 'c', 'b' ], 'prehook fired again')
+
+        t.dbEquals([
+          [ encodeNs([ 'test space 1' ], 'a'), 'A' ],
+          [ encodeNs([ 'test space 1' ], 'b'), 'b' ],
+          [ encodeNs([ 'test space 1' ], 'c'), 'C' ],
+          [ encodeNs([ 'test space 1' ], 'd'), 'd' ],
+          [ encodeNs([ 'test space 1' ], 'e'), 'e' ],
+          [ encodeNs([ 'test space 1', 'nested' ], 'c'), 'c' ],
+        ], t.end)
+      })
+    })
+  }))
+
+  t.test('iterator', dbWrap(function (t, base) {
+    // expose the leveldown iterator like newer levelup versions do
+    base.iterator = function (opts) {
+      return base.db.iterator(opts)
+    }
+
+    var db = subspace(base, 'test space 1')
+    var nested = subspace(db, 'nested')
+    var other = subspace(base, 'test space 2')
+    var json = subspace(base, 'test space 3', { valueEncoding: 'json' })
+
+    base.batch([
+      { type: 'put', key: 'a', value: 'root' },
+    ], function (err) {
+      t.ifError(err, 'no error')
+
+      db.batch([
+        { type: 'put', key: 'a', value: '1' },
+        { type: 'put', key: 'b', value: '2' },
+        { type: 'put', key: 'c', value: '3' },
+        { type: 'put', key: 'd', value: '4' },
+        { type: 'put', key: 'a', value: 'nested', prefix: nested },
+        { type: 'put', key: 'a', value: 'other', prefix: other },
+        { type: 'put', key: 'x', value: { x: 1 }, prefix: json },
+      ], function (err) {
+        t.ifError(err, 'no error')
+
+        var it = db.iterator({ gte: 'b' })
+        it.next(function (err, key, value) {
+          t.ifError(err, 'no error')
+          t.equal(key, 'b', 'decoded key')
+          t.equal(value, '2', 'value')
+
+          it.seek('a')
+          it.next(function (err, key, value) {
+            t.ifError(err, 'no error')
+            t.equal(key, 'b', 'seek clamped to lower bound')
+
+            it.seek('c\xff')
+            it.next(function (err, key, value) {
+              t.ifError(err, 'no error')
+              t.equal(key, 'd', 'seek within range')
+
+              it.next(function (err, key, value) {
+                t.ifError(err, 'no error')
+                t.equal(key, undefined, 'iterator exhausted')
+                t.equal(value, undefined, 'iterator exhausted')
+
+                it.end(function (err) {
+                  t.ifError(err, 'no error')
+                  decoded()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+
+    function decoded() {
+      var it = json.iterator()
+      it.next(function (err, key, value) {
+        t.ifError(err, 'no error')
+        t.equal(key, 'x', 'decoded key')
+        t.deepEqual(value, { x: 1 }, 'value decoded with value encoding')
+
+        it.end(function (err) {
+          t.ifError(err, 'no error')
+          reverse()
+        })
+      })
+    }
+
+    function reverse() {
+      var it = db.iterator({ reverse: true, values: false })
+      var keys = []
+
+      it.seek('\xff\xff')
+      it.next(function next(err, key) {
+        t.ifError(err, 'no error')
+        if (key === undefined) {
+          t.deepEqual(keys, [ 'd', 'c', 'b', 'a' ], 'seek did not escape subspace')
+          return it.end(t.end)
+        }
+        keys.push(key)
+        it.next(next)
+      })
+    }
+  }))
 }
@@ -0,0 +1,103 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+test('lifecycle, deferred open', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root')
+  var writes = 0
+
+  var batch = base.batch
+  base.batch = function () {
+    writes++
+    return batch.apply(this, arguments)
+  }
+
+  t.notOk(db.isOpen(), 'not open until db opens')
+
+  db.put('a', '1', function (err) {
+    t.ifError(err, 'no error')
+    t.is(writes, 1, 'deferred write issued once db opens')
+
+    db.get('a', function (err, value) {
+      t.ifError(err, 'no error')
+      t.is(value, '1', 'deferred write')
+      t.end()
+    })
+  })
+
+  t.is(writes, 0, 'write deferred')
+
+  base.once('open', function () {
+    t.ok(db.isOpen(), 'open')
+  })
+})
+
+test('lifecycle, close', function (t) {
+  var base = levelup(memdown)
+  var root = bytespace(base, 'root')
+  var db = root.sublevel('closing')
+  var nested = db.sublevel('nested')
+  var sibling = root.sublevel('sibling')
+  var order = []
+
+  db.once('close', function () {
+    order.push('close event')
+  })
+
+  db.put('a', '1', function (err) {
+    t.ifError(err, 'no error')
+    order.push('put')
+  })
+
+  db.close(function (err) {
+    t.ifError(err, 'no error')
+    order.push('closed')
+    t.same(order, [ 'put', 'close event', 'closed' ], 'waited for pending write')
+    t.is(db.status, 'closed', 'status')
+    t.is(nested.status, 'closed', 'sublevels closed')
+    t.notOk(db.isOpen(), 'subspace not open')
+    t.ok(base.isOpen(), 'db still open')
+
+    db.get('a').then(function () {
+      t.fail('should not be read')
+    }, function (err) {
+      t.is(err.name, 'ReadError', 'read rejected')
+      t.is(err.message, 'Subspace is not open', 'error message')
+      return db.batch([ { type: 'put', key: 'b', value: '2' } ])
+    }).then(function () {
+      t.fail('should not be written')
+    }, function (err) {
+      t.is(err.name, 'WriteError', 'write rejected')
+      return sibling.batch([
+        { type: 'put', key: 'c', value: '3' },
+        { type: 'put', key: 'd', value: '4', prefix: nested },
+      ])
+    }).then(function () {
+      t.fail('should not be written')
+    }, function (err) {
+      t.is(err.name, 'WriteError', 'write to closed prefix rejected')
+      return sibling.put('e', '5')
+    }).then(function () {
+      return sibling.get('e')
+    }).then(function (value) {
+      t.is(value, '5', 'sibling still usable')
+
+      db.createReadStream().on('error', function (err) {
+        t.is(err.name, 'ReadError', 'read stream errors')
+
+        db.open(function (err) {
+          t.ifError(err, 'no error')
+          t.ok(db.isOpen() && nested.isOpen(), 'reopened with sublevels')
+
+          db.get('a', function (err, value) {
+            t.ifError(err, 'no error')
+            t.is(value, '1', 'read after reopening')
+            t.end()
+          })
+        })
+      })
+    }).catch(t.end)
+  })
+})
@@ -0,0 +1,113 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function populate(db, cb) {
+  var ops = []
+  ;[ db, db.sublevel('nested') ].forEach(function (prefix) {
+    for (var i = 0; i < 10; i++) {
+      ops.push({ type: 'put', key: 'key' + i, value: { i: i }, prefix: prefix })
+    }
+  })
+  db.batch(ops, cb)
+}
+
+function entries(db, cb) {
+  db.createReadStream().pipe(list.obj(cb))
+}
+
+;[ false, true ].forEach(function (hexNamespace) {
+  var mode = hexNamespace ? 'hex' : 'buffer'
+
+  function factory() {
+    var base = levelup(memdown)
+    var opts = { hexNamespace: hexNamespace, valueEncoding: 'json' }
+    return {
+      tenants: bytespace(base, 'tenants', opts),
+      other: bytespace(base, 'other', opts)
+    }
+  }
+
+  test('move subspace, ' + mode, function (t) {
+    var dbs = factory()
+    var a = dbs.tenants.sublevel('a')
+    var progress = []
+
+    populate(a, function (err) {
+      t.ifError(err, 'no error')
+
+      a.moveTo('b', { batchSize: 8, progress: progress.push.bind(progress) }, function (err, count) {
+        t.ifError(err, 'no error')
+        t.is(count, 20, 'moved every key')
+        t.same(progress, [ 8, 16, 20 ], 'progress reported per chunk')
+
+        var b = dbs.tenants.sublevel('b')
+        entries(b, function (err, data) {
+          t.ifError(err, 'no error')
+          t.is(data.length, 10, 'keys moved')
+          t.same(data[3], { key: 'key3', value: { i: 3 } }, 'values moved')
+
+          entries(b.sublevel('nested'), function (err, data) {
+            t.ifError(err, 'no error')
+            t.is(data.length, 10, 'nested keys moved')
+
+            dbs.tenants.listSubspaces(function (err, names) {
+              t.ifError(err, 'no error')
+              t.same(names, [ 'b' ], 'old subspace removed')
+              t.end()
+            })
+          })
+        })
+      })
+    })
+  })
+
+  test('copy subspace, resume, ' + mode, function (t) {
+    var dbs = factory()
+    var a = dbs.tenants.sublevel('a')
+    var c = dbs.tenants.sublevel('archive').sublevel('a')
+
+    populate(a, function (err) {
+      t.ifError(err, 'no error')
+
+      // simulate a copy which died after writing the first few keys
+      c.batch([
+        { type: 'put', key: 'key0', value: { i: 0 } },
+        { type: 'put', key: 'key1', value: { i: 1 } },
+      ], function (err) {
+        t.ifError(err, 'no error')
+
+        a.copyTo([ 'archive', 'a' ], { resume: true }).then(function (count) {
+          t.is(count, 18, 'copied remaining keys')
+
+          entries(c.sublevel('nested'), function (err, data) {
+            t.ifError(err, 'no error')
+            t.is(data.length, 10, 'nested keys copied')
+
+            entries(a, function (err, data) {
+              t.ifError(err, 'no error')
+              t.is(data.length, 10, 'source keys remain')
+              t.end()
+            })
+          })
+        }, t.end)
+      })
+    })
+  })
+
+  test('move subspace into itself, ' + mode, function (t) {
+    var dbs = factory()
+    var a = dbs.tenants.sublevel('a')
+
+    a.moveTo([ 'a', 'x' ], function (err) {
+      t.ok(err, 'descendant rejected')
+
+      a.sublevel('x').copyTo([]).catch(function (err) {
+        t.ok(err, 'ancestor rejected')
+        t.end()
+      })
+    })
+  })
+})
@@ -0,0 +1,80 @@
+var crypto = require('crypto')
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+var Namespace = require('../namespace')
+
+var ENCODINGS = [ 'binary', 'hex', 'base64-sortable', 'latin1' ]
+
+ENCODINGS.forEach(function (encoding) {
+  test('namespace encoding, ' + encoding, function (t) {
+    var base = levelup(memdown)
+    var db = bytespace(base, 'root', { namespaceEncoding: encoding })
+    var nested = db.sublevel('nested')
+    var keys = [ 'a', 'ab', 'b', 'ba', 'c' ]
+    var types = []
+
+    var batch = base.batch
+    base.batch = function (ops) {
+      ops.forEach(function (op) {
+        types.push(Buffer.isBuffer(op.key) ? 'buffer' : typeof op.key)
+      })
+      return batch.apply(this, arguments)
+    }
+
+    db.batch(keys.map(function (key) {
+      return { type: 'put', key: key, value: key }
+    }).concat({ type: 'put', key: 'x', value: 'x', prefix: nested }), function (err) {
+      t.ifError(err, 'no error')
+
+      base.createKeyStream({ keyEncoding: 'binary' }).pipe(list.obj(function (err, stored) {
+        t.ifError(err, 'no error')
+        t.is(stored.length, 6, 'all keys stored')
+        t.is(types.length, 6, 'all keys written')
+        t.ok(types.every(function (type) {
+          return type === (encoding === 'binary' ? 'buffer' : 'string')
+        }), 'stored key type')
+
+        db.createKeyStream({ gt: 'a', lte: 'ba', reverse: true }).pipe(list.obj(function (err, range) {
+          t.ifError(err, 'no error')
+          t.same(range, [ 'ba', 'b', 'ab' ], 'reversed range')
+
+          db.get('ab').then(function (value) {
+            t.is(value, 'ab', 'get')
+            return db.count({ recursive: true })
+          }).then(function (count) {
+            t.is(count, 6, 'counted nested keys')
+            return db.listSubspaces()
+          }).then(function (names) {
+            t.same(names, [ 'nested' ], 'listed subspaces')
+            return nested.get('x')
+          }).then(function (value) {
+            t.is(value, 'x', 'nested get')
+          }).then(t.end, t.end)
+        }))
+      }))
+    })
+  })
+})
+
+test('namespace encoding, preserves byte order', function (t) {
+  var buffers = []
+  for (var i = 0; i < 200; i++) buffers.push(crypto.randomBytes(i % 7))
+  buffers.sort(Buffer.compare)
+
+  ENCODINGS.slice(1).forEach(function (encoding) {
+    var ns = new Namespace([ 'root' ], encoding)
+    var encoded = buffers.map(ns.toKey, ns)
+    var sorted = encoded.slice().sort()
+
+    t.same(encoded, sorted, encoding + ' keys sort in byte order')
+    t.same(encoded.map(ns.toBuffer, ns), buffers, encoding + ' keys round trip')
+  })
+
+  t.throws(function () {
+    bytespace(levelup(memdown), 'root', { namespaceEncoding: 'base32' })
+  }, 'unknown namespace encoding')
+  t.end()
+})
@@ -0,0 +1,130 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown))
+}
+
+test('async pre hooks, callback', function(t){
+  t.plan(4)
+
+  var db = factory()
+  var index = db.sublevel('index')
+
+  db.pre(function(op, add, ops, cb){
+    // read the current value before deciding what to add
+    db.get(op.key, function(err, value){
+      if (err && !err.notFound) return cb(err)
+      if (value) add({ type: 'del', key: value, prefix: index })
+      add({ type: 'put', key: op.value, value: op.key, prefix: index })
+      cb()
+    })
+  })
+
+  db.put('a', 'old', function(err){
+    t.ifError(err, 'no error')
+
+    db.put('a', 'new', function(err){
+      t.ifError(err, 'no error')
+
+      index.createKeyStream().on('data', function(key){
+        t.is(key, 'new', 'stale index entry removed')
+      }).on('end', function(){
+        t.pass('stream ended')
+      })
+    })
+  })
+})
+
+test('async pre hooks, promise', function(t){
+  t.plan(3)
+
+  var db = factory()
+  var calls = []
+
+  db.pre(function(op, add, ops){
+    return new Promise(function(resolve){
+      setTimeout(function(){
+        calls.push('async ' + op.key)
+        op.value = op.value.toUpperCase()
+        resolve()
+      }, 10)
+    })
+  })
+
+  db.pre(function(op, add, ops){
+    calls.push('sync ' + op.key)
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' }
+  ], function(err){
+    t.ifError(err, 'no error')
+    t.same(calls, [ 'async a', 'sync a', 'async b', 'sync b' ], 'hooks run in series')
+
+    db.get('b', function(err, value){
+      t.is(value, 'B', 'hook modified value')
+    })
+  })
+})
+
+test('async pre hooks, ranges', function(t){
+  t.plan(3)
+
+  var db = factory()
+  var calls = []
+
+  db.pre({ gte: 'b' }, function(op, add, ops, cb){
+    calls.push(op.key)
+    setImmediate(cb)
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' }
+  ], function(err){
+    t.ifError(err, 'no error')
+    t.same(calls, [ 'b' ], 'hook only called in range')
+
+    db.get('a', function(err, value){
+      t.is(value, 'a', 'op outside range written')
+    })
+  })
+})
+
+test('async pre hooks, failing batch', function(t){
+  t.plan(3)
+
+  var db = factory()
+  var sub = db.sublevel('sub')
+
+  sub.pre(function(op, add, ops){
+    if (op.key === 'fail') return Promise.reject(new Error('rejected'))
+  })
+
+  db.pre(function(op, add, ops, cb){
+    if (op.key === 'fail') return cb(new Error('callback error'))
+    cb()
+  })
+
+  sub.batch([
+    { type: 'put', key: 'ok', value: 'a', prefix: db },
+    { type: 'put', key: 'fail', value: 'b' }
+  ], function(err){
+    t.is(err && err.message, 'rejected', 'rejection fails batch')
+
+    db.batch([
+      { type: 'put', key: 'ok', value: 'a' },
+      { type: 'put', key: 'fail', value: 'b' }
+    ], function(err){
+      t.is(err && err.message, 'callback error', 'callback error fails batch')
+
+      db.get('ok', function(err){
+        t.ok(err && err.notFound, 'nothing written')
+      })
+    })
+  })
+})
@@ -0,0 +1,85 @@
+var bytewise = require('bytewise-core')
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(hex, cb) {
+  var db = bytespace(levelup(memdown), 'orders', {
+    keyEncoding: bytewise,
+    valueEncoding: 'json',
+    hexNamespace: hex
+  })
+
+  db.batch([
+    { type: 'put', key: [ 'u1', 'orders', 1 ], value: 1 },
+    { type: 'put', key: [ 'u1', 'orders', 2 ], value: 2 },
+    { type: 'put', key: [ 'u1', 'orders', 3, 'item' ], value: 3 },
+    { type: 'put', key: [ 'u1', 'ordersx' ], value: 4 },
+    { type: 'put', key: [ 'u1', 'profile' ], value: 5 },
+    { type: 'put', key: [ 'u2', 'orders', 1 ], value: 6 },
+    { type: 'put', key: [ 'u1' ], value: 7 },
+  ], function (err) {
+    cb(err, db)
+  })
+}
+
+;[ false, true ].forEach(function (hex) {
+  var mode = hex ? 'hex' : 'buffer'
+
+  test('prefix, tuple prefix of array keys (' + mode + ')', function (t) {
+    factory(hex, function (err, db) {
+      t.ifError(err, 'no error')
+
+      db.createKeyStream({ prefix: [ 'u1', 'orders' ] }).pipe(list.obj(function (err, keys) {
+        t.ifError(err, 'no error')
+        t.same(keys, [
+          [ 'u1', 'orders', 1 ],
+          [ 'u1', 'orders', 2 ],
+          [ 'u1', 'orders', 3, 'item' ],
+        ], 'keys with tuple prefix')
+
+        db.createValueStream({ prefix: [ 'u1', 'orders' ], reverse: true, limit: 2 })
+          .pipe(list.obj(function (err, values) {
+            t.ifError(err, 'no error')
+            t.same(values, [ 3, 2 ], 'reversed values with tuple prefix')
+
+            db.createReadStream({ prefix: [ 'u1' ], gt: [ 'u1', 'orders', 3 ] })
+              .pipe(list.obj(function (err, data) {
+                t.ifError(err, 'no error')
+                t.same(data.map(function (d) {
+                  return d.value
+                }), [ 3, 4, 5 ], 'prefix narrowed by range')
+
+                db.count({ prefix: [ 'u1' ] }).then(function (count) {
+                  t.is(count, 6, 'count with prefix, including the prefix itself')
+                }).then(t.end, t.end)
+              }))
+          }))
+      }))
+    })
+  })
+})
+
+test('prefix, string prefix and hooks', function (t) {
+  var db = bytespace(levelup(memdown), 'words')
+  var seen = []
+
+  db.post({ prefix: 'ab' }, function (op) {
+    seen.push(op.key)
+  })
+
+  db.batch([ 'a', 'ab', 'abc', 'abd', 'ac' ].map(function (key) {
+    return { type: 'put', key: key, value: key }
+  }), function (err) {
+    t.ifError(err, 'no error')
+    t.same(seen, [ 'ab', 'abc', 'abd' ], 'hooks fired for prefix')
+
+    db.createKeyStream({ prefix: 'ab', reverse: true }).pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ 'abd', 'abc', 'ab' ], 'keys with string prefix')
+      t.end()
+    }))
+  })
+})
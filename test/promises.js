@@ -0,0 +1,67 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown))
+}
+
+test('promises, put get and del', function(t){
+  var db = factory().sublevel('sub', { valueEncoding: 'json' })
+
+  db.put('a', { a: 1 }).then(function(result){
+    t.is(result, undefined, 'put resolves')
+    return db.get('a')
+  }).then(function(value){
+    t.same(value, { a: 1 }, 'get resolves value')
+    return db.del('a')
+  }).then(function(){
+    return db.get('a')
+  }).then(function(){
+    t.fail('should not resolve')
+  }, function(err){
+    t.ok(err.notFound, 'get rejects with notFound')
+    t.is(err.message, 'Key not found in database [a]', 'message')
+  }).then(t.end, t.end)
+})
+
+test('promises, batch', function(t){
+  var db = factory()
+
+  db.pre(function(op){
+    if (op.key === 'fail') throw new Error('beep')
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a' },
+    { type: 'put', key: 'b', value: 'b' }
+  ]).then(function(){
+    return db.batch().put('c', 'c').del('a').write()
+  }).then(function(){
+    return Promise.all([ db.get('b'), db.get('c') ])
+  }).then(function(values){
+    t.same(values, [ 'b', 'c' ], 'batches written')
+    return db.batch([ { type: 'put', key: 'fail', value: 'x' } ])
+  }).then(function(){
+    t.fail('should not resolve')
+  }, function(err){
+    t.is(err.message, 'beep', 'batch rejects with hook error')
+  }).then(t.end, t.end)
+})
+
+test('promises, callbacks still work', function(t){
+  t.plan(3)
+
+  var db = factory()
+
+  var result = db.put('a', 'a', function(err){
+    t.ifError(err, 'no error')
+
+    db.get('a', function(err, value){
+      t.is(value, 'a', 'got value')
+    })
+  })
+
+  t.is(result, undefined, 'nothing returned when callback provided')
+})
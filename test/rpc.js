@@ -0,0 +1,244 @@
+var Duplex = require('stream').Duplex
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  var base = levelup(memdown)
+  var root = bytespace(base, 'root', { valueEncoding: 'json' })
+  return { base: base, root: root, space: root.sublevel('served') }
+}
+
+// pair of duplex streams connected to each other, like either end of a socket
+function pipe() {
+  var a = Duplex()
+  var b = Duplex()
+
+  function connect(from, to) {
+    from._read = function () {}
+    from._write = function (chunk, _, cb) {
+      to.push(chunk)
+      cb()
+    }
+    from.on('finish', function () {
+      to.push(null)
+    })
+  }
+
+  connect(a, b)
+  connect(b, a)
+  return [ a, b ]
+}
+
+test('rpc, calls and streams', function (t) {
+  var db = factory()
+  var ends = pipe()
+  var server = db.space.createRpcStream()
+
+  ends[0].pipe(server).pipe(ends[0])
+  var client = bytespace.connect(ends[1])
+  var nested = client.sublevel('nested')
+
+  client.put('a', { a: 1 }).then(function () {
+    return client.batch([
+      { type: 'put', key: 'b', value: { b: 1 } },
+      { type: 'put', key: 'x', value: { x: 1 }, prefix: nested },
+      { type: 'put', key: 'buffer', value: Buffer.from('raw'), valueEncoding: 'binary' },
+    ])
+  }).then(function () {
+    return client.get('a')
+  }).then(function (value) {
+    t.same(value, { a: 1 }, 'get')
+    return client.get('buffer', { valueEncoding: 'binary' })
+  }).then(function (value) {
+    t.ok(Buffer.isBuffer(value), 'buffers revived')
+    t.is(value.toString(), 'raw', 'buffer contents')
+    return nested.get('x')
+  }).then(function (value) {
+    t.same(value, { x: 1 }, 'nested get')
+    return db.space.sublevel('nested').get('x')
+  }).then(function (value) {
+    t.same(value, { x: 1 }, 'nested subspace of served space')
+    return client.del('b')
+  }).then(function () {
+    return client.get('b').then(function () {
+      t.fail('should not be found')
+    }, function (err) {
+      t.ok(err.notFound, 'not found error')
+    })
+  }).then(function () {
+    client.createKeyStream({ reverse: true }).pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ 'buffer', 'a' ], 'key stream')
+
+      client.createReadStream({ lt: 'b' }).pipe(list.obj(function (err, data) {
+        t.ifError(err, 'no error')
+        t.same(data, [ { key: 'a', value: { a: 1 } } ], 'read stream')
+
+        client.batch()
+          .put('c', { c: 1 })
+          .del('a')
+          .write(function (err) {
+            t.ifError(err, 'no error')
+
+            nested.createValueStream().pipe(list.obj(function (err, values) {
+              t.ifError(err, 'no error')
+              t.same(values, [ { x: 1 } ], 'nested value stream')
+              t.end()
+            }))
+          })
+      }))
+    }))
+  }).catch(t.end)
+})
+
+test('rpc, scoped to the served subspace', function (t) {
+  var db = factory()
+  var client = bytespace.connect(db.space.createRpcStream())
+
+  db.root.put('secret', { s: 1 }).then(function () {
+    return client.get('secret').then(function () {
+      t.fail('should not be found')
+    }, function (err) {
+      t.ok(err.notFound, 'keys of parent space not found')
+    })
+  }).then(function () {
+    client.createKeyStream().pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [], 'no keys of parent space streamed')
+
+      db.base.createKeyStream().pipe(list.obj(function (err, keys) {
+        t.ifError(err, 'no error')
+        t.is(keys.length, 1, 'only parent key stored')
+        t.end()
+      }))
+    }))
+  }).catch(t.end)
+})
+
+test('rpc, errors and stream destroy', function (t) {
+  var db = factory()
+  var schema = db.root.sublevel('checked', {
+    schema: function (value) {
+      return typeof value === 'number' || 'number'
+    }
+  })
+  var client = bytespace.connect(schema.createRpcStream())
+
+  client.put('a', 'a', function (err) {
+    t.ok(err, 'remote error')
+    t.is(err.name, 'ValidationError', 'error name')
+    t.is(err.rule, 'number', 'error properties')
+
+    var ops = []
+    for (var i = 0; i < 100; i++) ops.push({ type: 'put', key: 'k' + i, value: i })
+
+    client.batch(ops, function (err) {
+      t.ifError(err, 'no error')
+
+      var stream = client.createValueStream()
+      stream.once('data', function (value) {
+        t.is(value, 0, 'first value')
+        stream.destroy()
+        client.get('k1', function (err, value) {
+          t.ifError(err, 'connection still usable')
+          t.is(value, 1, 'value')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('rpc, error paths relative to the served subspace', function (t) {
+  var db = factory()
+  var checked = {
+    schema: function (value) {
+      return typeof value === 'number' || 'number'
+    }
+  }
+  db.space.sublevel('checked', checked)
+
+  var client = bytespace.connect(db.space.createRpcStream())
+  var readOnly = bytespace.connect(db.space.readOnly().createRpcStream())
+
+  client.sublevel('checked').put('a', 'a', function (err) {
+    t.is(err.name, 'ValidationError', 'validation error')
+    t.same(err.path, [ 'checked' ], 'relative path')
+    t.is(err.message, 'Invalid value for key [a] in subspace [checked]: failed number',
+      'relative path in message')
+
+    readOnly.put('a', 1, function (err) {
+      t.is(err.name, 'PermissionError', 'permission error')
+      t.same(err.path, [], 'path of served subspace')
+      t.notOk(/root|served/.test(err.message), 'no absolute path in message')
+      t.end()
+    })
+  })
+})
+
+test('rpc, sublevels mounted for clients capped', function (t) {
+  var db = factory()
+  var client = bytespace.connect(db.space.createRpcStream())
+  var i = 0
+
+  db.space.sublevel('mounted')
+
+  ;(function next() {
+    client.sublevel('s' + i).get('a', function (err) {
+      if (++i < 1000) return next()
+      t.ok(err.notFound, 'sublevels resolved up to the cap')
+      t.is(Object.keys(db.space.sublevels).length, 1001, 'sublevels mounted')
+
+      client.sublevel('over').get('a', function (err) {
+        t.is(err.message, 'Too many subspaces resolved for clients', 'error over the cap')
+
+        client.sublevel('mounted').get('a', function (err) {
+          t.ok(err.notFound, 'mounted sublevels still resolved')
+          t.end()
+        })
+      })
+    })
+  })()
+})
+
+test('rpc, malformed and oversized messages', function (t) {
+  var db = factory()
+  var server = db.space.createRpcStream()
+  var replies = []
+
+  server.on('error', function (err) {
+    t.fail('server stream error: ' + err.message)
+  })
+
+  server.on('data', function (chunk) {
+    String(chunk).split('\n').forEach(function (line) {
+      if (line) replies.push(JSON.parse(line))
+    })
+  })
+
+  server.write('not json\n')
+  server.write('null\n')
+  server.write(JSON.stringify({ id: 1, method: 'get', path: [], args: [ 'a' ] }) + '\n')
+
+  setTimeout(function () {
+    t.is(replies.length, 3, 'replies')
+    t.is(replies[0].id, null, 'reply to malformed message')
+    t.is(replies[0].error.name, 'SyntaxError', 'parse error')
+    t.is(replies[1].error.message, 'Invalid message', 'reply to message not an object')
+    t.is(replies[2].id, 1, 'later messages still served')
+    t.ok(replies[2].error.notFound, 'reply')
+
+    server.on('end', function () {
+      t.is(replies[3].error.message, 'Message too long', 'reply to oversized message')
+      t.is(replies.length, 4, 'no replies once dropped')
+      t.end()
+    })
+
+    // a message never ending in a newline drops the client
+    server.write(Buffer.alloc(16 * 1024 * 1024 + 1, 'a'))
+    server.write(JSON.stringify({ id: 2, method: 'get', path: [], args: [ 'a' ] }) + '\n')
+  }, 20)
+})
@@ -0,0 +1,87 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+var user = {
+  type: 'object',
+  required: [ 'name' ],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { enum: [ 'admin', 'staff' ] } }
+  }
+}
+
+function factory(schema) {
+  return bytespace(levelup(memdown), 'users', { valueEncoding: 'json', schema: schema })
+}
+
+test('schema, json schema subset', function (t) {
+  var db = factory(user)
+
+  db.put('alice', { name: 'alice', age: 30, tags: [ 'admin' ] }).then(function () {
+    return db.put('bob', { name: 'bob', age: -1 })
+  }).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.ok(err instanceof bytespace.ValidationError, 'validation error')
+    t.ok(err.invalid, 'invalid flag')
+    t.same(err.path, [ 'users' ], 'subspace path')
+    t.is(err.key, 'bob', 'key')
+    t.is(err.rule, 'properties.age.minimum', 'failing rule')
+    t.ok(/value\.age must be >= 0/.test(err.message), 'message')
+
+    return db.batch([
+      { type: 'put', key: 'carol', value: { name: 'carol' } },
+      { type: 'put', key: 'dave', value: { name: 'dave', tags: [ 'guest' ] } },
+    ])
+  }).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.is(err.rule, 'properties.tags.items.enum', 'rule of failing array item')
+
+    return db.get('carol').then(function () {
+      t.fail('should not be found')
+    }, function (err) {
+      t.ok(err.notFound, 'batch not written')
+      return db.put('erin', { age: 1 })
+    })
+  }).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.is(err.rule, 'required', 'required rule')
+    return db.put('frank', { name: 'frank', email: 'frank@example.com' })
+  }).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.is(err.rule, 'additionalProperties', 'additionalProperties rule')
+    return db.del('alice')
+  }).then(t.end, t.end)
+})
+
+test('schema, validator function inherited by sublevels', function (t) {
+  var db = factory(function (value) {
+    return typeof value.id === 'number' || 'id'
+  })
+  var nested = db.sublevel('nested')
+  var unchecked = db.sublevel('unchecked', { schema: null })
+
+  nested.put('a', { id: 'a' }, function (err) {
+    t.ok(err instanceof bytespace.ValidationError, 'inherited schema')
+    t.same(err.path, [ 'users', 'nested' ], 'nested subspace path')
+    t.is(err.rule, 'id', 'rule named by validator')
+
+    db.batch([
+      { type: 'put', key: 'a', value: { id: 1 } },
+      { type: 'put', key: 'b', value: {}, prefix: unchecked },
+    ]).then(function () {
+      return db.createIndex('by-id', function (key, value) {
+        return value.id
+      }).rebuild()
+    }).then(function () {
+      return db.put('c', { id: 2 })
+    }).then(t.end, t.end)
+  })
+})
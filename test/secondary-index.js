@@ -0,0 +1,126 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown), 'users', { valueEncoding: 'json' })
+}
+
+function byCity(key, value) {
+  return value.city
+}
+
+test('secondary index, maintained by hooks', function (t) {
+  var db = factory()
+  var index = db.createIndex('by-city', byCity)
+
+  db.batch([
+    { type: 'put', key: 'alice', value: { city: 'paris' } },
+    { type: 'put', key: 'bob', value: { city: 'berlin' } },
+    { type: 'put', key: 'carol', value: { city: 'paris' } },
+    { type: 'put', key: 'dave', value: {} },
+  ]).then(function () {
+    return index.get('paris')
+  }).then(function (records) {
+    t.same(records, [
+      { key: 'alice', value: { city: 'paris' } },
+      { key: 'carol', value: { city: 'paris' } },
+    ], 'records for index value')
+
+    return db.batch([
+      { type: 'put', key: 'alice', value: { city: 'rome' } },
+      { type: 'del', key: 'carol' },
+    ])
+  }).then(function () {
+    return index.get('paris')
+  }).then(function (records) {
+    t.same(records, [], 'stale entries removed')
+
+    index.sublevel.createKeyStream().pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ [ 'berlin', 'bob' ], [ 'rome', 'alice' ] ], 'index entries')
+
+      index.createReadStream({ gt: 'berlin' }).pipe(list.obj(function (err, records) {
+        t.ifError(err, 'no error')
+        t.same(records, [ { key: 'alice', value: { city: 'rome' } } ], 'range of index values')
+        t.end()
+      }))
+    }))
+  }).catch(t.end)
+})
+
+test('secondary index, same key written twice in a batch', function (t) {
+  var db = factory()
+  var index = db.createIndex('by-city', byCity)
+
+  db.batch([
+    { type: 'put', key: 'alice', value: { city: 'berlin' } },
+  ]).then(function () {
+    return db.batch([
+      { type: 'put', key: 'alice', value: { city: 'paris' } },
+      { type: 'put', key: 'alice', value: { city: 'rome' } },
+      { type: 'put', key: 'bob', value: { city: 'paris' } },
+      { type: 'del', key: 'bob' },
+    ])
+  }).then(function () {
+    index.sublevel.createKeyStream().pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ [ 'rome', 'alice' ] ], 'entries for last op of each key')
+      t.end()
+    }))
+  }).catch(t.end)
+})
+
+test('secondary index, concurrent writes to a key', function (t) {
+  var db = factory()
+  var index = db.createIndex('by-city', byCity)
+
+  Promise.all([
+    db.put('u1', { city: 'paris' }),
+    db.put('u1', { city: 'rome' }),
+  ]).then(function () {
+    return db.put('u1', { city: 'oslo' })
+  }).then(function () {
+    return index.get('paris')
+  }).then(function (records) {
+    t.same(records, [], 'no records through stale entries')
+    return index.get('oslo')
+  }).then(function (records) {
+    t.same(records, [ { key: 'u1', value: { city: 'oslo' } } ], 'records for current value')
+
+    index.createReadStream().pipe(list.obj(function (err, records) {
+      t.ifError(err, 'no error')
+      t.same(records, [ { key: 'u1', value: { city: 'oslo' } } ], 'each record once')
+      t.end()
+    }))
+  }).catch(t.end)
+})
+
+test('secondary index, rebuild', function (t) {
+  var db = factory()
+
+  db.batch([
+    { type: 'put', key: 'alice', value: { city: 'paris' } },
+    { type: 'put', key: 'bob', value: { city: 'berlin' } },
+  ]).then(function () {
+    var index = db.createIndex('by-city', byCity)
+
+    return index.get('paris').then(function (records) {
+      t.same(records, [], 'existing records not yet indexed')
+      return index.rebuild()
+    }).then(function () {
+      return index.get('paris')
+    }).then(function (records) {
+      t.same(records, [ { key: 'alice', value: { city: 'paris' } } ], 'indexed after rebuild')
+
+      index.remove()
+      return db.put('carol', { city: 'paris' })
+    }).then(function () {
+      return index.get('paris')
+    }).then(function (records) {
+      t.is(records.length, 1, 'removed index no longer maintained')
+    })
+  }).then(t.end, t.end)
+})
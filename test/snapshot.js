@@ -0,0 +1,240 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(cb) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root', { valueEncoding: 'json' })
+  var index = db.sublevel('index', { valueEncoding: 'utf8' })
+
+  db.batch([
+    { type: 'put', key: 'a', value: { n: 1 } },
+    { type: 'put', key: 'b', value: { n: 2 } },
+    { type: 'put', key: 'c', value: { n: 3 } },
+    { type: 'put', key: '1', value: 'a', prefix: index },
+    { type: 'put', key: '2', value: 'b', prefix: index },
+  ], function (err) {
+    cb(err, base, db, index)
+  })
+}
+
+// number of reads of the db made by a write, to copy values for snapshots
+function writeReads(base, write) {
+  var reads = 0
+  var get = base.get
+  base.get = function () {
+    reads++
+    return get.apply(this, arguments)
+  }
+
+  return write().then(function () {
+    base.get = get
+    return reads
+  })
+}
+
+test('snapshot, copy-on-write overlay', function (t) {
+  factory(function (err, base, db, index) {
+    t.ifError(err, 'no error')
+
+    var snapshot = db.snapshot()
+
+    db.batch([
+      { type: 'put', key: 'a', value: { n: 10 } },
+      { type: 'del', key: 'b' },
+      { type: 'put', key: 'd', value: { n: 4 } },
+      { type: 'del', key: '1', prefix: index },
+      { type: 'put', key: '3', value: 'd', prefix: index },
+    ]).then(function () {
+      return snapshot.get('a')
+    }).then(function (value) {
+      t.same(value, { n: 1 }, 'overwritten value')
+      return snapshot.get('b')
+    }).then(function (value) {
+      t.same(value, { n: 2 }, 'deleted value')
+      return snapshot.get('d').then(function () {
+        t.fail('should not be found')
+      }, function (err) {
+        t.ok(err.notFound, 'key added since snapshot not found')
+      })
+    }).then(function () {
+      return db.get('a')
+    }).then(function (value) {
+      t.same(value, { n: 10 }, 'db has new value')
+
+      snapshot.createReadStream().pipe(list.obj(function (err, data) {
+        t.ifError(err, 'no error')
+        t.same(data, [
+          { key: 'a', value: { n: 1 } },
+          { key: 'b', value: { n: 2 } },
+          { key: 'c', value: { n: 3 } },
+        ], 'read stream as of snapshot')
+
+        snapshot.sublevel('index').createReadStream({ reverse: true }).pipe(list.obj(function (err, data) {
+          t.ifError(err, 'no error')
+          t.same(data, [
+            { key: '2', value: 'b' },
+            { key: '1', value: 'a' },
+          ], 'sublevel read stream with its encodings')
+
+          snapshot.createKeyStream({ gt: 'a', limit: 1 }).pipe(list.obj(function (err, keys) {
+            t.ifError(err, 'no error')
+            t.same(keys, [ 'b' ], 'key stream with range and limit')
+
+            snapshot.release()
+            snapshot.get('a').then(function () {
+              t.fail('should not be read')
+            }, function (err) {
+              t.is(err.message, 'Snapshot has been released', 'released snapshot')
+              return writeReads(base, function () {
+                return db.put('c', { n: 30 })
+              })
+            }).then(function (reads) {
+              t.is(reads, 0, 'no copies once released')
+            }).then(t.end, t.end)
+          }))
+        }))
+      }))
+    }).catch(t.end)
+  })
+})
+
+test('snapshot, waits for writes in flight', function (t) {
+  factory(function (err, base, db, index) {
+    t.ifError(err, 'no error')
+
+    db.batch([
+      { type: 'put', key: 'a', value: { n: 10 } },
+      { type: 'put', key: '1', value: 'x', prefix: index },
+    ])
+
+    var snapshot = db.snapshot()
+
+    snapshot.get('a').then(function (value) {
+      t.same(value, { n: 10 }, 'sees write in flight')
+      return snapshot.sublevel('index').get('1')
+    }).then(function (value) {
+      t.is(value, 'x', 'whole batch seen')
+    }).then(t.end, t.end)
+  })
+})
+
+test('snapshot, db snapshots', function (t) {
+  factory(function (err, base, db) {
+    t.ifError(err, 'no error')
+
+    var reads = 0
+    var released = false
+
+    base.snapshot = function () {
+      return {
+        get: function () {
+          reads++
+          return base.get.apply(base, arguments)
+        },
+        createReadStream: function () {
+          reads++
+          return base.createReadStream.apply(base, arguments)
+        },
+        release: function () {
+          released = true
+        }
+      }
+    }
+
+    var snapshot = db.snapshot()
+
+    snapshot.get('a').then(function (value) {
+      t.same(value, { n: 1 }, 'get')
+
+      snapshot.createValueStream().pipe(list.obj(function (err, values) {
+        t.ifError(err, 'no error')
+        t.same(values, [ { n: 1 }, { n: 2 }, { n: 3 } ], 'value stream')
+        t.is(reads, 2, 'read from db snapshot')
+
+        snapshot.release()
+        t.ok(released, 'db snapshot released')
+        t.end()
+      }))
+    }).catch(t.end)
+  })
+})
+
+test('snapshot, writes after release', function (t) {
+  factory(function (err, base, db) {
+    t.ifError(err, 'no error')
+
+    var snapshot = db.snapshot()
+
+    writeReads(base, function () {
+      return db.put('a', { n: 10 })
+    }).then(function (reads) {
+      t.is(reads, 1, 'overwritten value copied')
+
+      snapshot.release()
+      return writeReads(base, function () {
+        return db.batch([
+          { type: 'put', key: 'b', value: { n: 20 } },
+          { type: 'del', key: 'c' },
+        ])
+      })
+    }).then(function (reads) {
+      t.is(reads, 0, 'no copy reads once released')
+    }).then(t.end, t.end)
+  })
+})
+
+test('snapshot, released once idle', function (t) {
+  factory(function (err, base, db) {
+    t.ifError(err, 'no error')
+
+    var snapshot = db.snapshot({ timeout: 20 })
+    var stream = snapshot.createKeyStream()
+
+    setTimeout(function () {
+      snapshot.get('a').then(function (value) {
+        t.same(value, { n: 1 }, 'not released while a stream is open')
+
+        stream.pipe(list.obj(function (err, keys) {
+          t.ifError(err, 'no error')
+          t.same(keys, [ 'a', 'b', 'c' ], 'stream read in full')
+
+          setTimeout(function () {
+            snapshot.get('a').then(function () {
+              t.fail('should not be read')
+            }, function (err) {
+              t.is(err.message, 'Snapshot has been released', 'released once idle')
+              return writeReads(base, function () {
+                return db.put('a', { n: 10 })
+              })
+            }).then(function (reads) {
+              t.is(reads, 0, 'no copies once released')
+            }).then(t.end, t.end)
+          }, 40)
+        }))
+      }).catch(t.end)
+    }, 40)
+  })
+})
+
+test('snapshot, kept until released without a timeout', function (t) {
+  factory(function (err, base, db) {
+    t.ifError(err, 'no error')
+
+    var snapshot = db.snapshot()
+
+    setTimeout(function () {
+      writeReads(base, function () {
+        return db.put('a', { n: 10 })
+      }).then(function (reads) {
+        t.ok(reads > 0, 'values still copied')
+        return snapshot.get('a')
+      }).then(function (value) {
+        t.same(value, { n: 1 }, 'snapshot still read')
+        snapshot.release()
+      }).then(t.end, t.end)
+    }, 40)
+  })
+})
@@ -0,0 +1,50 @@
+var levelup = require('levelup')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+;[ false, true ].forEach(function (hexNamespace) {
+  var mode = hexNamespace ? 'hex' : 'buffer'
+
+  test('list subspaces, ' + mode, function (t) {
+    var base = levelup(memdown)
+    var db = bytespace(base, 'root', { hexNamespace: hexNamespace })
+    var ops = [
+      { type: 'put', key: 'own', value: 'x' },
+      { type: 'put', key: 'k', value: 'x', prefix: db.sublevel('b') },
+      { type: 'put', key: 'k1', value: 'x', prefix: db.sublevel('a') },
+      { type: 'put', key: 'k2', value: 'x', prefix: db.sublevel('a') },
+      { type: 'put', key: 'k', value: 'x', prefix: db.sublevel('a').sublevel('x') },
+      { type: 'put', key: 'k', value: 'x', prefix: db.sublevel('c').sublevel('d') },
+      { type: 'put', key: 'k', value: 'x', prefix: db.sublevel(42) },
+      { type: 'put', key: 'k', value: 'x', prefix: bytespace(base, 'rooted') },
+    ]
+
+    db.batch(ops, function (err) {
+      t.ifError(err, 'no error')
+
+      // discover subspaces through a fresh instance with no mounted sublevels
+      var fresh = bytespace(base, 'root', { hexNamespace: hexNamespace })
+
+      fresh.listSubspaces(function (err, names) {
+        t.ifError(err, 'no error')
+        t.same(names, [ 42, 'a', 'b', 'c' ], 'child subspaces in order')
+
+        fresh.sublevel('a').listSubspaces().then(function (names) {
+          t.same(names, [ 'x' ], 'nested child subspaces')
+          return fresh.sublevel('b').listSubspaces()
+        }).then(function (names) {
+          t.same(names, [], 'no child subspaces')
+
+          var streamed = []
+          fresh.createSubspaceStream().on('data', function (name) {
+            streamed.push(name)
+          }).on('end', function () {
+            t.same(streamed, [ 42, 'a', 'b', 'c' ], 'streamed names')
+            t.end()
+          })
+        }).catch(t.end)
+      })
+    })
+  })
+})
@@ -0,0 +1,264 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory(opts) {
+  return bytespace(levelup(memdown), 'sessions', opts)
+}
+
+function wait(ms) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms)
+  })
+}
+
+test('ttl, expired keys not found before sweep', function (t) {
+  // keys that must still be found expire long after the test ends
+  var db = factory({ ttl: 60000, sweepInterval: 0 })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a', ttl: 20 },
+    { type: 'put', key: 'b', value: 'b' },
+  ]).then(function () {
+    return db.put('c', 'c', { ttl: Infinity })
+  }).then(function () {
+    return db.get('b')
+  }).then(function (value) {
+    t.is(value, 'b', 'found before expiry')
+    return wait(40)
+  }).then(function () {
+    return db.get('a').then(function () {
+      t.fail('should not be found')
+    }, function (err) {
+      t.ok(err.notFound, 'expired key not found')
+    })
+  }).then(function () {
+    return db.getMany([ 'a', 'b', 'c' ])
+  }).then(function (values) {
+    t.same(values, [ undefined, 'b', 'c' ], 'expired keys missing from getMany')
+
+    return db.count()
+  }).then(function (count) {
+    t.is(count, 2, 'expired key not counted')
+
+    db.createKeyStream().pipe(list.obj(function (err, keys) {
+      t.ifError(err, 'no error')
+      t.same(keys, [ 'b', 'c' ], 'expired key missing from key stream')
+
+      db.createReadStream({ limit: 1 }).pipe(list.obj(function (err, data) {
+        t.ifError(err, 'no error')
+        t.same(data, [ { key: 'b', value: 'b' } ], 'limit applied to keys not expired')
+
+        db.createChangeStream({ old: true }).on('data', function (data) {
+          t.same(data, { type: 'put', key: 'b', value: 'b' }, 'expired key missing from change stream')
+          this.destroy()
+          collect()
+        })
+      }))
+    }))
+  }).catch(t.end)
+
+  function collect() {
+    var keys = []
+    var entries = db.entries()
+
+    ;(function next() {
+      entries.next().then(function (result) {
+        if (result.done) {
+          t.same(keys, [ 'b', 'c' ], 'expired key missing from entries')
+          return t.end()
+        }
+        keys.push(result.value.key)
+        next()
+      }).catch(t.end)
+    })()
+  }
+})
+
+test('ttl, sweep deletes through batch', function (t) {
+  var root = factory()
+  var db = root.sublevel('nested', { sweepInterval: 0 })
+  var deleted = []
+
+  db.post(function (op) {
+    if (op.type === 'del') deleted.push(op.key)
+  })
+
+  db.batch([
+    { type: 'put', key: 'a', value: 'a', ttl: 10 },
+    { type: 'put', key: 'b', value: 'b', ttl: 10 },
+    { type: 'put', key: 'c', value: 'c' },
+  ]).then(function () {
+    // rewritten without a ttl so it no longer expires
+    return db.put('b', 'b')
+  }).then(function () {
+    return wait(30)
+  }).then(function () {
+    return db.sweep()
+  }).then(function (count) {
+    t.is(count, 1, 'swept expired keys')
+    t.same(deleted, [ 'a' ], 'posthooks fired for swept keys')
+    return root.listSubspaces()
+  }).then(function (names) {
+    t.same(names, [ 'nested' ], 'expiry metadata hidden from subspace listing')
+
+    db.createReadStream().pipe(list.obj(function (err, data) {
+      t.ifError(err, 'no error')
+      t.same(data, [
+        { key: 'b', value: 'b' },
+        { key: 'c', value: 'c' },
+      ], 'remaining keys')
+      t.end()
+    }))
+  }).catch(t.end)
+})
+
+test('ttl, per-op ttl without subspace ttl option', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'sessions', { sweepInterval: 0 })
+
+  db.put('a', 'a', { ttl: 10 }).then(function () {
+    return db.put('b', 'b')
+  }).then(function () {
+    return wait(20)
+  }).then(function () {
+    // other instances of the subspace share whether it holds expiring keys
+    var other = bytespace(base, 'sessions', { sweepInterval: 0 })
+    return other.getMany([ 'a', 'b' ]).then(function (values) {
+      t.same(values, [ undefined, 'b' ], 'expired key missing from getMany')
+      return other.put('a', 'a')
+    }).then(function () {
+      return other.get('a')
+    })
+  }).then(function (value) {
+    t.is(value, 'a', 'rewritten without a ttl no longer expires')
+    return db.sweep()
+  }).then(function (count) {
+    t.is(count, 0, 'nothing left to sweep')
+  }).then(t.end, t.end)
+})
+
+test('ttl, streams of subspaces without expiring keys not held back', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'plain')
+  var ops = []
+
+  for (var i = 0; i < 1500; i++)
+    ops.push({ type: 'put', key: 'k' + (10000 + i), value: 'v' })
+
+  db.batch(ops).then(function () {
+    var read = 0
+    var createReadStream = base.createReadStream
+    base.createReadStream = function () {
+      return createReadStream.apply(this, arguments).on('data', function () {
+        read++
+      })
+    }
+
+    var stream = db.createReadStream()
+    stream.once('data', function () {
+      base.createReadStream = createReadStream
+      t.ok(read < 100, 'first entry emitted after ' + read + ' entries read')
+      stream.destroy()
+      t.end()
+    })
+  }).catch(t.end)
+})
+
+test('ttl, destroying a stream of checked entries', function (t) {
+  var db = factory({ ttl: 60000, sweepInterval: 0 })
+  var ops = []
+
+  for (var i = 0; i < 20; i++)
+    ops.push({ type: 'put', key: 'k' + (10 + i), value: 'v' })
+
+  db.batch(ops).then(function () {
+    var stream = db.createReadStream()
+    var count = 0
+
+    stream.on('error', t.end)
+    stream.on('data', function () {
+      if (++count === 1) stream.destroy()
+    })
+
+    setTimeout(function () {
+      t.is(count, 1, 'no entries after destroying the stream')
+      t.end()
+    }, 50)
+  }).catch(t.end)
+})
+
+test('ttl, recursive reads without mounting nested subspaces', function (t) {
+  var base = levelup(memdown)
+  var tenants = bytespace(base, 'root', { valueEncoding: 'json' }).sublevel('tenants')
+  var ops = []
+
+  for (var i = 0; i < 50; i++)
+    ops.push({ type: 'put', key: 'k', value: { n: i }, prefix: tenants.sublevel('t' + i) })
+
+  tenants.batch(ops).then(function () {
+    return tenants.sublevel('t0').batch([
+      { type: 'put', key: 'short', value: 1, ttl: 10 },
+      { type: 'put', key: 'long', value: 2, ttl: 60000 },
+    ])
+  }).then(function () {
+    return wait(30)
+  }).then(function () {
+    var root = bytespace(base, 'root', { valueEncoding: 'json' })
+    var other = root.sublevel('tenants')
+    var listeners = base.listeners('open').length
+
+    other.count({ recursive: true }).then(function (count) {
+      t.is(count, 51, 'keys of nested subspaces counted, without expired keys')
+      t.same(Object.keys(other.sublevels || {}), [], 'nested subspaces not mounted')
+      t.is(base.listeners('open').length, listeners, 'no db listeners added')
+
+      var changes = []
+      other.createChangeStream({ old: true, recursive: true }).on('data', function (change) {
+        changes.push(change)
+        if (changes.length < 51) return
+
+        this.destroy()
+        t.same(changes[0], {
+          type: 'put', key: 'k', value: { n: 0 }, path: [ 't0' ]
+        }, 'decoded with inherited options')
+        t.notOk(changes.some(function (change) {
+          return change.key === 'short'
+        }), 'expired key missing from change stream')
+        t.same(Object.keys(other.sublevels || {}), [], 'nested subspaces still not mounted')
+        t.is(base.listeners('open').length, listeners, 'still no db listeners added')
+        t.end()
+      })
+    }).catch(t.end)
+  }).catch(t.end)
+})
+
+test('ttl, expiry moved with the subspace', function (t) {
+  var root = bytespace(levelup(memdown), 'root', { sweepInterval: 0 })
+  var a = root.sublevel('a', { ttl: 30 })
+  var b = root.sublevel('b')
+
+  b.get('missing').catch(function (err) {
+    t.ok(err.notFound, 'target loaded without expiring keys')
+    return a.put('k', 'v')
+  }).then(function () {
+    return a.moveTo('b')
+  }).then(function (count) {
+    t.is(count, 1, 'metadata moved uncounted')
+    return b.get('k')
+  }).then(function (value) {
+    t.is(value, 'v', 'moved before expiry')
+    return wait(50)
+  }).then(function () {
+    return b.get('k').then(function () {
+      t.fail('should not be found')
+    }, function (err) {
+      t.ok(err.notFound, 'moved key expires')
+      return b.sweep()
+    })
+  }).then(function (count) {
+    t.is(count, 1, 'moved key swept')
+  }).then(t.end, t.end)
+})
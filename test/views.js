@@ -0,0 +1,218 @@
+var levelup = require('levelup')
+var list = require('list-stream')
+var memdown = require('memdown')
+var test = require('tape')
+var bytespace = require('../')
+
+function factory() {
+  return bytespace(levelup(memdown), 'root', { valueEncoding: 'json' })
+}
+
+test('views, read-only', function (t) {
+  var db = factory()
+  var view = db.readOnly()
+
+  t.is(db.readOnly(), view, 'views memoized')
+  t.is(view.readOnly(), view, 'read-only view of read-only view')
+  t.throws(function () {
+    view.writeOnly()
+  }, /Cannot call \[writeOnly\] on read-only view of subspace \[root\]/, 'no write-only view')
+
+  db.batch([
+    { type: 'put', key: 'a', value: 1 },
+    { type: 'put', key: 'b', value: 2, prefix: db.sublevel('nested') },
+  ]).then(function () {
+    return view.get('a')
+  }).then(function (value) {
+    t.is(value, 1, 'get')
+    return view.sublevel('nested').get('b')
+  }).then(function (value) {
+    t.is(value, 2, 'nested get')
+    return view.put('a', 3).then(function () {
+      t.fail('should not be written')
+    }, function (err) {
+      t.is(err.name, 'PermissionError', 'put rejected')
+      t.ok(err instanceof bytespace.PermissionError, 'permission error')
+      t.ok(err.permission, 'permission flag')
+      t.is(err.method, 'put', 'error method')
+      t.same(err.path, [ 'root' ], 'error path')
+    })
+  }).then(function () {
+    t.throws(function () {
+      view.batch()
+    }, /Cannot call \[batch\]/, 'no chained batch')
+
+    t.throws(function () {
+      view.pre(function () {})
+    }, /Cannot call \[pre\]/, 'no hooks')
+
+    view.sublevel('nested').del('b', function (err) {
+      t.ok(err && err.permission, 'nested views inherit restriction')
+      t.is(err.message, 'Cannot call [del] on read-only view of subspace [root, nested]',
+        'error message')
+
+      view.createValueStream().pipe(list.obj(function (err, values) {
+        t.ifError(err, 'no error')
+        t.same(values, [ 1 ], 'value stream')
+        t.end()
+      }))
+    })
+  }).catch(t.end)
+})
+
+test('views, write-only', function (t) {
+  var db = factory()
+  var view = db.writeOnly()
+  var nested = view.sublevel('nested')
+
+  t.is(nested, db.sublevel('nested').writeOnly(), 'nested views memoized')
+  t.throws(function () {
+    view.createReadStream()
+  }, /Cannot call \[createReadStream\] on write-only view/, 'no read streams')
+
+  view.batch()
+    .put('a', 1)
+    .put('b', 2, { prefix: nested })
+    .write()
+    .then(function () {
+      return db.sublevel('nested').get('b')
+    }).then(function (value) {
+      t.is(value, 2, 'written through nested view')
+      return view.get('a').then(function () {
+        t.fail('should not be read')
+      }, function (err) {
+        t.ok(err.permission, 'get rejected')
+      })
+    }).then(function () {
+      return nested.count().then(function () {
+        t.fail('should not be counted')
+      }, function (err) {
+        t.ok(err.permission, 'nested count rejected')
+      })
+    }).then(t.end, t.end)
+})
+
+test('views, batch prefixes', function (t) {
+  var db = factory()
+  var readOnly = db.sublevel('readable').readOnly()
+
+  db.batch([
+    { type: 'put', key: 'a', value: 1 },
+    { type: 'put', key: 'b', value: 2, prefix: readOnly },
+  ], function (err) {
+    t.ok(err && err.permission, 'no writes through read-only prefix')
+
+    db.createReadStream({ recursive: true }).pipe(list.obj(function (err, data) {
+      t.ifError(err, 'no error')
+      t.same(data, [], 'nothing written')
+
+      var view = bytespace(readOnly, 'nested')
+      t.is(view, readOnly.sublevel('nested'), 'mounted on view as sublevel')
+      t.ok(view.readable && !view.writable, 'restricted when mounted')
+      t.end()
+    }))
+  })
+})
+
+test('views, internals not exposed', function (t) {
+  var db = bytespace(levelup(memdown), 'root', {
+    encryption: { keys: { k1: require('crypto').randomBytes(32) }, keyId: 'k1' }
+  })
+  var view = db.readOnly()
+
+  t.notOk(view.namespace, 'no namespace, with its hooks')
+  t.notOk(view.options, 'no options, with key material')
+  t.same(view.path, [ 'root' ], 'path')
+
+  view.path.push('tampered')
+  t.same(db.namespace.path, [ 'root' ], 'path copied')
+
+  view.sublevel('nested').path.push('tampered')
+  t.same(db.sublevel('nested').namespace.path, [ 'root', 'nested' ], 'nested path copied')
+  t.end()
+})
+
+// paths of properties reaching a subspace, its namespace or the db, searched
+// through objects held by properties (but not through closures)
+function exposed(obj, base) {
+  var found = []
+  var seen = []
+
+  function search(value, path) {
+    if (!value || typeof value !== 'object' || seen.indexOf(value) >= 0) return
+    seen.push(value)
+
+    if (value instanceof bytespace || value === base || Array.isArray(value.prehooks))
+      return found.push(path)
+
+    Object.getOwnPropertyNames(value).forEach(function (k) {
+      search(value[k], path + '.' + k)
+    })
+  }
+
+  search(obj, 'obj')
+  return found
+}
+
+test('views, subspace not exposed', function (t) {
+  var base = levelup(memdown)
+  var db = bytespace(base, 'root', { valueEncoding: 'json' })
+  var ro = db.readOnly()
+  var wo = db.writeOnly()
+
+  t.same(exposed(ro, base), [], 'read-only view')
+  t.same(exposed(wo, base), [], 'write-only view')
+  t.same(exposed(ro.sublevel('nested'), base), [], 'view of sublevel')
+  t.same(exposed(ro.snapshot(), base), [], 'snapshot of read-only view')
+  t.same(exposed(ro.snapshot().sublevel('nested'), base), [], 'snapshot of sublevel')
+  t.same(exposed(wo.batch(), base), [], 'chained batch of write-only view')
+
+  wo.batch([ { type: 'put', key: 'a', value: 1, prefix: ro } ]).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.ok(err.permission, 'no writes through read-only prefix with writable view')
+    ro.writable = true
+    return db.batch([ { type: 'put', key: 'a', value: 1, prefix: ro } ])
+  }).then(function () {
+    t.fail('should not be written')
+  }, function (err) {
+    t.ok(err.permission, 'access of view not changed by its properties')
+  }).then(t.end, t.end)
+})
+
+test('views, getMany prefixes', function (t) {
+  var db = factory()
+  var secret = db.sublevel('secret')
+  var mine = db.sublevel('mine')
+
+  secret.put('k', 'hidden').then(function () {
+    return mine.getMany([ { prefix: secret.writeOnly(), key: 'k' } ]).then(function () {
+      t.fail('should not be read')
+    }, function (err) {
+      t.ok(err.permission, 'no reads through write-only prefix')
+      t.is(err.method, 'getMany', 'error method')
+    })
+  }).then(function () {
+    return mine.getMany([ 'k', { prefix: secret.readOnly(), key: 'k' } ])
+  }).then(function (values) {
+    t.same(values, [ undefined, 'hidden' ], 'read through read-only prefix')
+  }).then(t.end, t.end)
+})
+
+test('views, over rpc', function (t) {
+  var db = factory()
+  var client = bytespace.connect(db.readOnly().createRpcStream())
+
+  db.put('a', 1).then(function () {
+    return client.sublevel('nested').put('b', 2).then(function () {
+      t.fail('should not be written')
+    }, function (err) {
+      t.is(err.name, 'PermissionError', 'remote permission error')
+      t.same(err.path, [ 'nested' ], 'error path relative to the served subspace')
+    })
+  }).then(function () {
+    return client.get('a')
+  }).then(function (value) {
+    t.is(value, 1, 'remote get')
+  }).then(t.end, t.end)
+})
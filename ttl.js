@@ -0,0 +1,250 @@
+'use strict'
+
+var bytewise = require('bytewise-core')
+var Codec = require('level-codec')
+
+var util = require('./util')
+
+// default interval between sweeps for expired keys
+var SWEEP_INTERVAL = 60000
+
+// encodings for expiry metadata, keyed by subspace key (or by
+// `[ expiresAt, key ]` for the sweep index) with expiry times as values
+var META_OPTIONS = { keyEncoding: bytewise, valueEncoding: 'json' }
+
+// whether subspaces of each db may hold expiring keys, by encoded metadata
+// namespace, shared by every instance of a subspace over the db
+var dbs = new WeakMap()
+
+// track expiring keys of a subspace in a hidden metadata subspace, sweeping
+// them every interval once the subspace has a default ttl or writes with one
+function Expiry(db, space, meta, ttl, interval) {
+  if (!dbs.has(db)) dbs.set(db, {})
+
+  this.ttl = ttl
+  this.interval = interval
+  this._state = dbs.get(db)
+  this._id = meta.namespace.buffer.toString('hex')
+  this._space = space
+  this._keys = meta.sublevel('keys', META_OPTIONS)
+  this._index = meta.sublevel('index', META_OPTIONS)
+  this._timer = null
+  this._sweeping = false
+  this._loading = null
+
+  if (ttl != null) this._state[this._id] = true
+}
+
+Expiry.META_OPTIONS = META_OPTIONS
+
+// whether the subspace may hold expiring keys, undefined until loaded
+Expiry.prototype.expiring = function () {
+  return this._state[this._id]
+}
+
+// load whether the subspace holds expiring keys, from its metadata on first use
+Expiry.prototype.load = function (cb) {
+  var expiry = this
+  if (this.expiring() !== undefined) return cb()
+
+  if (this._loading) return this._loading.push(cb)
+  this._loading = [ cb ]
+
+  var found = false
+  this._keys.createKeyStream({ limit: 1 })
+    .on('data', function () {
+      found = true
+    })
+    .on('error', done)
+    .on('end', function () {
+      // writes with a ttl may have landed meanwhile
+      if (!expiry.expiring()) expiry._state[expiry._id] = found
+      expiry.start()
+      done()
+    })
+
+  function done(err) {
+    var loading = expiry._loading
+    expiry._loading = null
+    loading.forEach(function (cb) {
+      cb(err)
+    })
+  }
+}
+
+// metadata ops recording the expiry of a batch op, or clearing it for deletes
+// and puts without a finite ttl so stale index entries are skipped by sweeps,
+// once the subspace is loaded
+Expiry.prototype.ops = function (op, ttl) {
+  if (op.type === 'del' || !(ttl > 0 && ttl < Infinity))
+    return this.expiring() === false ? [] : [ this._op('del', this._keys, op.key) ]
+
+  if (!this.expiring()) {
+    this._state[this._id] = true
+    this.start()
+  }
+
+  var expiresAt = Date.now() + ttl
+
+  return [
+    this._op('put', this._keys, op.key, expiresAt),
+    this._op('put', this._index, [ expiresAt, op.key ], expiresAt)
+  ]
+}
+
+Expiry.prototype._op = function (type, prefix, key, value) {
+  var op = {
+    type: type,
+    key: key,
+    prefix: prefix,
+    keyEncoding: META_OPTIONS.keyEncoding,
+    valueEncoding: META_OPTIONS.valueEncoding
+  }
+  if (type === 'put') op.value = value
+  return op
+}
+
+// replace values of expired keys with undefined
+Expiry.prototype.filter = function (keys, values, cb) {
+  var expiry = this
+
+  this.load(function (err) {
+    if (err || !expiry.expiring()) return cb(err, values)
+    expiry._keys.getMany(keys, filter)
+  })
+
+  function filter(err, times) {
+    if (err) return cb(err)
+
+    var now = Date.now()
+    cb(null, values.map(function (value, i) {
+      return times[i] <= now ? undefined : value
+    }))
+  }
+}
+
+// delete expired keys through batch so hooks fire, calling back with the count
+Expiry.prototype.sweep = function (cb) {
+  cb = cb || util.promiseCallback()
+
+  var expiry = this
+  var space = this._space
+  var count = 0
+  var entries = this._index.createKeyStream({ lt: [ Date.now(), undefined ] })
+
+  util.chunks(entries, util.BATCH_SIZE, function (entries, next) {
+    var keys = entries.map(function (entry) {
+      return entry[1]
+    })
+
+    expiry._keys.getMany(keys, function (err, times) {
+      if (err) return next(err)
+
+      var ops = entries.map(function (entry) {
+        return expiry._op('del', expiry._index, entry)
+      })
+
+      entries.forEach(function (entry, i) {
+        // skip keys rewritten since this index entry was recorded
+        if (times[i] !== entry[0]) return
+        ops.push({ type: 'del', key: entry[1], prefix: space })
+        count++
+      })
+
+      space.batch(ops, next)
+    })
+  }, function (err) {
+    cb(err, count)
+  })
+
+  return cb.promise
+}
+
+// periodically sweep expired keys without keeping the process alive
+Expiry.prototype.start = function () {
+  var expiry = this
+  var interval = this.interval
+
+  if (!this.expiring() || interval === 0 || this._timer) return
+
+  this._timer = setInterval(function () {
+    if (expiry._sweeping) return
+
+    expiry._sweeping = true
+    expiry.sweep(function () {
+      // failed sweeps are retried on the next interval
+      expiry._sweeping = false
+    })
+  }, interval || SWEEP_INTERVAL)
+
+  this._timer.unref && this._timer.unref()
+}
+
+Expiry.prototype.stop = function () {
+  clearInterval(this._timer)
+  this._timer = null
+}
+
+// forget whether subspaces in the tree of a namespace hold expiring keys, so
+// it's loaded again from metadata copied or moved into the tree
+Expiry.forget = function (db, ns) {
+  var state = dbs.get(db)
+  var prefix = ns.buffer.slice(0, -1).toString('hex')
+
+  state && Object.keys(state).forEach(function (id) {
+    if (id.indexOf(prefix) === 0) delete state[id]
+  })
+}
+
+// expiry of a subspace found nested on disk but not mounted, read straight
+// from its metadata when the subspace is known to hold expiring keys, so
+// recursive reads don't have to mount every subspace they come across
+function Unmounted(db, ns) {
+  var meta = ns.meta('ttl')
+
+  this._db = db
+  this._state = dbs.get(db) || {}
+  this._id = meta.buffer.toString('hex')
+  this._keys = meta.append('keys')
+  this._keys.codec = new Codec(META_OPTIONS)
+}
+
+Unmounted.prototype.expiring = function () {
+  return this._state[this._id] === true
+}
+
+Unmounted.prototype.load = function (cb) {
+  cb()
+}
+
+// replace values of expired keys with undefined
+Unmounted.prototype.filter = function (keys, values, cb) {
+  var expiry = this
+  var ns = this._keys
+  var now = Date.now()
+  var opts = { keyEncoding: ns.keyEncoding, valueEncoding: META_OPTIONS.valueEncoding }
+
+  if (!this.expiring()) return cb(null, values)
+
+  values = values.slice()
+  util.series(keys.length, function (i, next) {
+    try {
+      var k = ns.encode(keys[i])
+    }
+    catch (err) {
+      return next(err)
+    }
+
+    expiry._db.get(k, opts, function (err, time) {
+      if (err && !err.notFound) return next(err)
+      if (!err && time <= now) values[i] = undefined
+      next()
+    })
+  }, function (err) {
+    cb(err, values)
+  })
+}
+
+Expiry.Unmounted = Unmounted
+
+module.exports = Expiry
@@ -0,0 +1,118 @@
+'use strict'
+
+var xtend = require('xtend')
+
+var util = exports
+
+// default number of keys written per batch by bulk operations
+util.BATCH_SIZE = 1000
+
+util.NOT_FOUND = /notfound/i
+
+util.getCallback = function (opts, cb) {
+  return typeof opts == 'function' ? opts : cb
+}
+
+// create a callback settling a promise for methods called without a callback
+util.promiseCallback = function () {
+  var resolve, reject
+  var promise = new Promise(function (_resolve, _reject) {
+    resolve = _resolve
+    reject = _reject
+  })
+
+  function cb(err, value) {
+    if (err) reject(err)
+    else resolve(value)
+  }
+
+  cb.promise = promise
+  return cb
+}
+
+// decode a value read as stored under a key (as encoded within its subspace)
+// with a value encoding, wrapped as it was stored
+util.decodeValue = function (ns, raw, encoding, subkey) {
+  var opts = { valueEncoding: ns.valueCodec(encoding, subkey) }
+  if (!Buffer.isBuffer(raw)) raw = Buffer.from(raw)
+  return ns.codec.decodeValue(ns.codec.valueAsBuffer(opts) ? raw : raw.toString(), opts)
+}
+
+// from https://github.com/Level/levelup/blob/master/lib/util.js
+util.getOptions = function (options) {
+  if (typeof options == 'string')
+    return { valueEncoding: options }
+  if (typeof options != 'object')
+    return {}
+  return xtend(options)
+}
+
+// call fn for each index up to len in series, without growing the stack when
+// fn completes synchronously
+util.series = function (len, fn, cb) {
+  var i = -1
+  var looping = false
+  var called
+
+  ;(function next(err) {
+    if (err) return cb(err)
+    if (looping) return (called = true)
+
+    looping = true
+    do {
+      called = false
+      if (++i >= len) {
+        looping = false
+        return cb()
+      }
+      fn(i, next)
+    } while (called)
+    looping = false
+  })()
+}
+
+// read a stream in chunks of up to size items, pausing while fn handles each
+util.chunks = function (stream, size, fn, cb) {
+  var chunk = []
+  var flushing = false
+  var finished = false
+
+  stream.on('data', function (data) {
+    chunk.push(data)
+    if (flushing || chunk.length < size) return
+
+    stream.pause()
+    flush(function () {
+      stream.resume()
+    })
+  })
+
+  stream.on('error', finish)
+
+  stream.on('end', function () {
+    flush(finish)
+  })
+
+  function flush(next) {
+    var items = chunk
+    chunk = []
+
+    if (!items.length) return next()
+
+    flushing = true
+    fn(items, function (err) {
+      flushing = false
+      if (err) {
+        stream.destroy && stream.destroy()
+        return finish(err)
+      }
+      next()
+    })
+  }
+
+  function finish(err) {
+    if (finished) return
+    finished = true
+    cb(err)
+  }
+}
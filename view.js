@@ -0,0 +1,165 @@
+'use strict'
+
+var EventEmitter = require('events').EventEmitter
+var inherits = require('util').inherits
+
+var AbstractSpace = require('./abstract')
+var rpc = require('./rpc')
+var util = require('./util')
+
+var READ_METHODS = [
+  'get', 'getMany', 'count', 'approximateSize', 'listSubspaces',
+  'createReadStream', 'readStream', 'createKeyStream', 'keyStream',
+  'createValueStream', 'valueStream', 'createLiveStream', 'liveStream',
+  'createChangeStream', 'createSubspaceStream', 'iterator', 'entries', 'keys',
+  'values', 'snapshot'
+]
+
+var WRITE_METHODS = [ 'put', 'del', 'batch', 'clear', 'sweep', 'reencrypt' ]
+
+// hooks and indexes see (and may rewrite) every op, and transfers both read
+// and write, so these are only available on the subspace itself
+var DENIED_METHODS = [ 'pre', 'post', 'createIndex', 'copyTo', 'moveTo' ]
+
+// methods calling back (or returning a promise) rather than returning a value
+var ASYNC_METHODS = [
+  'get', 'getMany', 'count', 'approximateSize', 'listSubspaces', 'put', 'del',
+  'batch', 'clear', 'sweep', 'reencrypt', 'copyTo', 'moveTo'
+]
+
+var WRITE_EVENTS = [ 'put', 'del', 'batch' ]
+
+var ACCESS = {
+  read: { name: 'read-only', read: true, write: false },
+  write: { name: 'write-only', read: false, write: true }
+}
+
+function PermissionError(view, method) {
+  Error.call(this)
+  if (Error.captureStackTrace) Error.captureStackTrace(this, PermissionError)
+
+  this.message = 'Cannot call [' + method + '] on ' + view.access +
+    ' view of subspace [' + view.path.join(', ') + ']'
+  this.path = view.path
+  this.method = method
+}
+
+inherits(PermissionError, Error)
+
+PermissionError.prototype.name = 'PermissionError'
+PermissionError.prototype.permission = true
+
+// view of a subspace restricted to reading or writing, along with every
+// subspace nested within it. The subspace itself is only held in closures, as
+// it (like its namespace and options) would hand out what the view restricts
+function View(space, access) {
+  if (!ACCESS[access]) throw new Error('Unknown view access [' + access + ']')
+
+  var view = this
+  var permits = ACCESS[access]
+
+  this.access = permits.name
+  this.readable = permits.read
+  this.writable = permits.write
+  this.path = space.namespace.path.slice()
+  this.isClient = space.isClient
+
+  READ_METHODS.forEach(function (method) {
+    add(method, permits.read)
+  })
+
+  WRITE_METHODS.forEach(function (method) {
+    add(method, permits.write)
+  })
+
+  DENIED_METHODS.forEach(function (method) {
+    add(method, false)
+  })
+
+  function add(method, permitted) {
+    if (typeof space[method] !== 'function') return
+    view[method] = permitted ? space[method] : deny(view, method)
+  }
+
+  this.isOpen = function () {
+    return space.isOpen()
+  }
+
+  // nested subspaces are restricted in the same way
+  this.sublevel = function (name, opts) {
+    return restrict(space.sublevel(name, opts))
+  }
+
+  this.clone = function () {
+    return restrict(space.clone())
+  }
+
+  // whether a sublevel is mounted already, without mounting it
+  this._mounted = function (name) {
+    return !!space.sublevels && space.sublevels.hasOwnProperty(name)
+  }
+
+  function restrict(space) {
+    return permits.read ? space.readOnly() : space.writeOnly()
+  }
+
+  space.on('open', function () {
+    view.emit('open', view)
+  })
+
+  space.on('close', function () {
+    view.emit('close')
+  })
+
+  // write events reveal keys and values, so are only forwarded by read-only views
+  if (permits.read) {
+    WRITE_EVENTS.forEach(function (event) {
+      space.on(event, function () {
+        view.emit.apply(view, [ event ].concat([].slice.call(arguments)))
+      })
+    })
+  }
+}
+
+inherits(View, EventEmitter)
+
+View.prototype.readOnly = function () {
+  if (!this.readable) throw new PermissionError(this, 'readOnly')
+  return this
+}
+
+View.prototype.writeOnly = function () {
+  if (!this.writable) throw new PermissionError(this, 'writeOnly')
+  return this
+}
+
+View.prototype.toAbstract = function () {
+  return new AbstractSpace(this)
+}
+
+View.prototype.createRpcStream = function () {
+  return rpc.createServer(this)
+}
+
+// fail calls to methods not permitted by the view, by callback or promise for
+// async methods and by throwing otherwise
+function deny(view, method) {
+  return function () {
+    var err = new PermissionError(view, method)
+    var cb = arguments[arguments.length - 1]
+
+    // chained batches are created synchronously
+    if (ASYNC_METHODS.indexOf(method) < 0 || method === 'batch' && !arguments.length)
+      throw err
+
+    if (typeof cb === 'function') return process.nextTick(cb, err)
+
+    cb = util.promiseCallback()
+    cb(err)
+    return cb.promise
+  }
+}
+
+View.PermissionError = PermissionError
+
+module.exports = View